@@ -0,0 +1,205 @@
+import { GAME_EVENTS } from './core/events.js';
+
+/**
+ * Achievements
+ * Data-driven goals evaluated against simulation events. Each definition
+ * says which event moves its progress and how:
+ *
+ *   track.event    event that updates progress
+ *   track.filter   (payload) => boolean, optional — ignore other payloads
+ *   track.value    (payload, sim) => number, optional — progress becomes the
+ *                  highest value seen; without it each event counts 1
+ *   track.scope    'run' (reset every run), 'lifetime' (never reset) or
+ *                  'window' (reset whenever a `resetOn` event fires)
+ *   track.resetOn  events that start a new window
+ *   track.resetIf  (payload) => boolean, optional — only these `resetOn`
+ *                  payloads start a new window
+ *   track.failOn   events that void progress for the rest of the run
+ *
+ * Progress and unlocks persist in localStorage.
+ */
+
+const STORAGE_KEY = 'cubeDodgeAchievements';
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-hundred',
+    title: 'Warming Up',
+    description: 'Reach score 100',
+    goal: 100,
+    track: { event: GAME_EVENTS.SCORE_TICK, value: (e) => e.score, scope: 'run' },
+  },
+  {
+    id: 'survivor',
+    title: 'Survivor',
+    description: 'Survive 60 seconds',
+    goal: 60,
+    track: { event: GAME_EVENTS.SCORE_TICK, value: (e, sim) => sim.clock.time, scope: 'run' },
+  },
+  {
+    id: 'purist',
+    title: 'Purist',
+    description: 'Reach score 500 without power-ups',
+    goal: 500,
+    track: {
+      event: GAME_EVENTS.SCORE_TICK,
+      value: (e) => e.score,
+      scope: 'run',
+      failOn: [GAME_EVENTS.POWERUP_COLLECTED],
+    },
+  },
+  {
+    id: 'wrecking-ball',
+    title: 'Wrecking Ball',
+    description: 'Shatter 10 cubes in one SHATTER window',
+    goal: 10,
+    track: {
+      event: GAME_EVENTS.OBSTACLE_SHATTERED,
+      scope: 'window',
+      resetOn: [GAME_EVENTS.POWERUP_COLLECTED, GAME_EVENTS.POWERUP_EXPIRED],
+      // Other power-ups can come and go during the window
+      resetIf: (e) => e.type === 'SHATTER',
+    },
+  },
+  {
+    id: 'bubble-boy',
+    title: 'Bubble Boy',
+    description: 'Block 5 hits with shields in one run',
+    goal: 5,
+    track: { event: GAME_EVENTS.PLAYER_HIT, filter: (e) => e.blocked && !e.spared, scope: 'run' },
+  },
+  {
+    id: 'hopper',
+    title: 'Hopper',
+    description: 'Jump 50 times in one run',
+    goal: 50,
+    track: { event: GAME_EVENTS.PLAYER_JUMPED, scope: 'run' },
+  },
+  {
+    id: 'dodge-master',
+    title: 'Dodge Master',
+    description: 'Dodge 1000 cubes in total',
+    goal: 1000,
+    track: { event: GAME_EVENTS.OBSTACLE_DODGED, scope: 'lifetime' },
+  },
+  {
+    id: 'bomb-magnet',
+    title: 'Bomb Magnet',
+    description: 'Die to an explosive cube 10 times',
+    goal: 10,
+    track: {
+      event: GAME_EVENTS.GAME_OVER,
+      filter: (e) => e.cause === 'explosive',
+      scope: 'lifetime',
+    },
+  },
+];
+
+export class AchievementTracker {
+  constructor(sim, definitions = ACHIEVEMENTS) {
+    this.sim = sim;
+    this.definitions = definitions;
+    this.enabled = true;  // off while watching replays
+    this.listeners = [];
+
+    // Per achievement: { unlockedAt, best, current, failed }
+    const saved = this._load();
+    this.progress = {};
+    for (const def of definitions) {
+      this.progress[def.id] = {
+        unlockedAt: null,
+        best: 0,
+        current: 0,
+        failed: false,
+        ...saved[def.id],
+      };
+    }
+
+    this._subscribe(sim.events);
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      console.warn('Discarding unreadable achievements:', e);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.progress));
+  }
+
+  _subscribe(events) {
+    events.on(GAME_EVENTS.RUN_STARTED, () => {
+      for (const def of this.definitions) {
+        if (def.track.scope === 'lifetime') continue;
+        const p = this.progress[def.id];
+        p.current = 0;
+        p.failed = false;
+      }
+    });
+
+    // One listener per distinct event any definition cares about
+    const eventTypes = new Set();
+    for (const { track } of this.definitions) {
+      eventTypes.add(track.event);
+      for (const type of track.resetOn || []) eventTypes.add(type);
+      for (const type of track.failOn || []) eventTypes.add(type);
+    }
+    for (const type of eventTypes) {
+      events.on(type, (payload) => this._onEvent(type, payload));
+    }
+  }
+
+  _onEvent(type, payload) {
+    if (!this.enabled) return;
+    let changed = false;
+
+    for (const def of this.definitions) {
+      const { track } = def;
+      const p = this.progress[def.id];
+      if (p.unlockedAt) continue;
+
+      if (track.failOn?.includes(type)) {
+        p.failed = true;
+        p.current = 0;
+      }
+      if (track.resetOn?.includes(type) && (!track.resetIf || track.resetIf(payload))) {
+        p.current = 0;
+      }
+      if (type !== track.event || p.failed) continue;
+      if (track.filter && !track.filter(payload)) continue;
+
+      p.current = track.value
+        ? Math.max(p.current, track.value(payload, this.sim))
+        : p.current + 1;
+      if (p.current > p.best) {
+        p.best = Math.min(p.current, def.goal);
+        changed = true;
+      }
+      if (p.current >= def.goal) {
+        p.unlockedAt = new Date().toISOString();
+        changed = true;
+        for (const listener of this.listeners) listener(def);
+      }
+    }
+
+    if (changed || type === GAME_EVENTS.GAME_OVER) this._save();
+  }
+
+  /**
+   * Register a callback for newly unlocked achievements
+   */
+  onUnlock(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Definitions with their progress, for the menu panel
+   */
+  list() {
+    return this.definitions.map(def => ({ ...def, ...this.progress[def.id] }));
+  }
+}
@@ -8,6 +8,7 @@ export class AudioManager {
     this.ctx = null;
     this.initialized = false;
     this.masterGain = null;
+    this.volume = 0.3;
   }
 
   init() {
@@ -15,7 +16,7 @@ export class AudioManager {
     try {
       this.ctx = new (window.AudioContext || window.webkitAudioContext)();
       this.masterGain = this.ctx.createGain();
-      this.masterGain.gain.value = 0.3;
+      this.masterGain.gain.value = this.volume;
       this.masterGain.connect(this.ctx.destination);
       this.initialized = true;
     } catch (e) {
@@ -52,6 +53,61 @@ export class AudioManager {
     osc.stop(this.ctx.currentTime + 0.2);
   }
 
+  playDoubleJump() {
+    if (!this.initialized) return;
+    // The jump's sweep, an octave up and quicker
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(600, this.ctx.currentTime);
+    osc.frequency.exponentialRampToValueAtTime(1200, this.ctx.currentTime + 0.1);
+    gain.gain.setValueAtTime(0.18, this.ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.15);
+    osc.connect(gain);
+    gain.connect(this.masterGain);
+    osc.start(this.ctx.currentTime);
+    osc.stop(this.ctx.currentTime + 0.15);
+  }
+
+  playDash() {
+    if (!this.initialized) return;
+    // Falling sawtooth swoosh
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = 'sawtooth';
+    osc.frequency.setValueAtTime(900, this.ctx.currentTime);
+    osc.frequency.exponentialRampToValueAtTime(150, this.ctx.currentTime + 0.12);
+    gain.gain.setValueAtTime(0.12, this.ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.14);
+    osc.connect(gain);
+    gain.connect(this.masterGain);
+    osc.start(this.ctx.currentTime);
+    osc.stop(this.ctx.currentTime + 0.14);
+  }
+
+  playSlide() {
+    if (!this.initialized) return;
+    // Low scrape of fading noise
+    const bufferSize = this.ctx.sampleRate * 0.25;
+    const buffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+      data[i] = (Math.random() * 2 - 1) * (1 - i / bufferSize);
+    }
+    const source = this.ctx.createBufferSource();
+    const filter = this.ctx.createBiquadFilter();
+    const gain = this.ctx.createGain();
+    source.buffer = buffer;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(900, this.ctx.currentTime);
+    gain.gain.setValueAtTime(0.25, this.ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.25);
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.masterGain);
+    source.start(this.ctx.currentTime);
+  }
+
   playHit() {
     if (!this.initialized) return;
     // Noise burst for impact
@@ -112,6 +168,16 @@ export class AudioManager {
     });
   }
 
+  /**
+   * Shard tick; `step` climbs a pentatonic scale, so a streak of pickups
+   * along a formation rings upwards
+   */
+  playShard(step = 0) {
+    if (!this.initialized) return;
+    const scale = [0, 2, 4, 7, 9, 12, 14, 16];
+    this._playTone(1046 * Math.pow(2, scale[step % scale.length] / 12), 0.08, 'triangle', 0.12);
+  }
+
   playShatter() {
     if (!this.initialized) return;
     // Quick crunch
@@ -119,6 +185,28 @@ export class AudioManager {
     setTimeout(() => this._playTone(100, 0.1, 'square', 0.2), 30);
   }
 
+  playNearMiss(combo) {
+    if (!this.initialized) return;
+    // Short whoosh that climbs with the combo
+    const pitch = 500 + Math.min(combo, 12) * 60;
+    this._playTone(pitch, 0.08, 'triangle', 0.18);
+    setTimeout(() => this._playTone(pitch * 1.5, 0.1, 'triangle', 0.12), 40);
+  }
+
+  playJumpOver(combo) {
+    if (!this.initialized) return;
+    // Bouncy two-note hop, also climbing with the combo
+    const pitch = 400 + Math.min(combo, 12) * 60;
+    this._playTone(pitch, 0.1, 'square', 0.12);
+    setTimeout(() => this._playTone(pitch * 2, 0.15, 'sine', 0.18), 70);
+  }
+
+  playComboLost() {
+    if (!this.initialized) return;
+    this._playTone(300, 0.15, 'sine', 0.12);
+    setTimeout(() => this._playTone(200, 0.2, 'sine', 0.1), 90);
+  }
+
   playScore() {
     this._playTone(880, 0.1, 'sine', 0.15);
     setTimeout(() => this._playTone(1100, 0.15, 'sine', 0.15), 80);
@@ -131,6 +219,21 @@ export class AudioManager {
     });
   }
 
+  playAchievement() {
+    const notes = [784, 988, 1175, 1568];
+    notes.forEach((freq, i) => {
+      setTimeout(() => this._playTone(freq, 0.25, 'triangle', 0.25), i * 80);
+    });
+    setTimeout(() => this._playTone(2093, 0.4, 'sine', 0.15), notes.length * 80);
+  }
+
+  setVolume(volume) {
+    this.volume = volume;
+    if (this.masterGain) {
+      this.masterGain.gain.value = volume;
+    }
+  }
+
   resume() {
     if (this.ctx && this.ctx.state === 'suspended') {
       this.ctx.resume();
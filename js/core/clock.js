@@ -0,0 +1,63 @@
+/**
+ * Game Clock
+ * Single source of game time for every subsystem. Time only advances when
+ * the game steps it, so pauses, fixed steps and replays stay in sync, and a
+ * time scale lets slow motion apply to the whole simulation at once.
+ */
+export class GameClock {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.time = 0;          // scaled game seconds since the run started
+    this.timeScale = 1;
+    this._holdTimer = 0;    // real seconds left at the slowed scale
+    this._recoverTime = 0;  // real seconds to ease back to normal speed
+    this._recoverFrom = 1;
+    this._recoverTimer = 0;
+  }
+
+  /**
+   * Advance by one real-time step. Returns the scaled step subsystems
+   * should integrate with.
+   */
+  tick(dt) {
+    this._updateTimeScale(dt);
+    const scaled = dt * this.timeScale;
+    this.time += scaled;
+    return scaled;
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = scale;
+    this._holdTimer = 0;
+    this._recoverTimer = 0;
+  }
+
+  /**
+   * Drop to `scale` for `duration` real seconds, then ease back to 1
+   * over `recover` seconds.
+   */
+  slowMotion(scale, duration, recover = 0.3) {
+    this.timeScale = scale;
+    this._holdTimer = duration;
+    this._recoverTime = recover;
+    this._recoverTimer = 0;
+  }
+
+  _updateTimeScale(dt) {
+    if (this._holdTimer > 0) {
+      this._holdTimer -= dt;
+      if (this._holdTimer <= 0) {
+        this._recoverFrom = this.timeScale;
+        this._recoverTimer = this._recoverTime;
+        if (this._recoverTimer <= 0) this.timeScale = 1;
+      }
+    } else if (this._recoverTimer > 0) {
+      this._recoverTimer = Math.max(0, this._recoverTimer - dt);
+      const t = 1 - this._recoverTimer / this._recoverTime;
+      this.timeScale = this._recoverFrom + (1 - this._recoverFrom) * t;
+    }
+  }
+}
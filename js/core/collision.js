@@ -0,0 +1,130 @@
+import { Vec3 } from './math.js';
+
+/**
+ * Collision Shapes
+ * Oriented boxes that follow the rendered cubes exactly, tested with the
+ * separating axis theorem, plus sphere tests for round pickups. Axis-aligned
+ * boxes around these stay in use as a cheap first pass and for near-miss
+ * gaps; a hit is only a hit once the oriented shapes overlap.
+ */
+
+/**
+ * How forgiving contact is by default, in track units. Shapes must
+ * overlap by more than this before they count as touching, so grazing a
+ * corner is survivable.
+ */
+export const DEFAULT_FORGIVENESS = 0.1;
+
+// Guards the edge-edge axes against near-parallel edges
+const EPSILON = 1e-6;
+
+/**
+ * Oriented bounding box: a centre, three unit axes and the half-extent
+ * along each
+ */
+export class OBB {
+  constructor() {
+    this.center = new Vec3();
+    this.axes = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)];
+    this.half = new Vec3();
+  }
+
+  /**
+   * Box of half size (hx, hy, hz) rotated by Euler angles (XYZ order, as
+   * three.js uses) around `center`
+   */
+  setFromTransform(center, rotation, hx, hy, hz) {
+    const a = Math.cos(rotation.x), b = Math.sin(rotation.x);
+    const c = Math.cos(rotation.y), d = Math.sin(rotation.y);
+    const e = Math.cos(rotation.z), f = Math.sin(rotation.z);
+    const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+    // Columns of the rotation matrix
+    this.axes[0].set(c * e, af + be * d, bf - ae * d);
+    this.axes[1].set(-c * f, ae - bf * d, be + af * d);
+    this.axes[2].set(d, -b * c, a * c);
+    this.center.copy(center);
+    this.half.set(hx, hy, hz);
+    return this;
+  }
+
+  /**
+   * Distance from a point to the nearest point of this box; 0 inside it
+   */
+  distanceToPoint(point) {
+    const dx = point.x - this.center.x;
+    const dy = point.y - this.center.y;
+    const dz = point.z - this.center.z;
+    const half = [this.half.x, this.half.y, this.half.z];
+    let sq = 0;
+    for (let i = 0; i < 3; i++) {
+      const axis = this.axes[i];
+      const along = Math.abs(dx * axis.x + dy * axis.y + dz * axis.z);
+      if (along > half[i]) sq += (along - half[i]) ** 2;
+    }
+    return Math.sqrt(sq);
+  }
+}
+
+function dot(u, v) {
+  return u.x * v.x + u.y * v.y + u.z * v.z;
+}
+
+/**
+ * True if two oriented boxes overlap by more than `margin` on every
+ * separating axis
+ */
+export function obbIntersectsOBB(a, b, margin = 0) {
+  const aHalf = [a.half.x, a.half.y, a.half.z];
+  const bHalf = [b.half.x, b.half.y, b.half.z];
+
+  // Rotation of b in a's frame, and the centre offset in a's frame
+  const r = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const absR = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      r[i][j] = dot(a.axes[i], b.axes[j]);
+      absR[i][j] = Math.abs(r[i][j]) + EPSILON;
+    }
+  }
+  const ox = b.center.x - a.center.x;
+  const oy = b.center.y - a.center.y;
+  const oz = b.center.z - a.center.z;
+  const t = a.axes.map(axis => ox * axis.x + oy * axis.y + oz * axis.z);
+
+  // a's face axes
+  for (let i = 0; i < 3; i++) {
+    const rb = bHalf[0] * absR[i][0] + bHalf[1] * absR[i][1] + bHalf[2] * absR[i][2];
+    if (Math.abs(t[i]) > aHalf[i] + rb - margin) return false;
+  }
+
+  // b's face axes
+  for (let j = 0; j < 3; j++) {
+    const ra = aHalf[0] * absR[0][j] + aHalf[1] * absR[1][j] + aHalf[2] * absR[2][j];
+    const along = t[0] * r[0][j] + t[1] * r[1][j] + t[2] * r[2][j];
+    if (Math.abs(along) > ra + bHalf[j] - margin) return false;
+  }
+
+  // Edge cross products: a's axis i × b's axis j. These axes aren't unit
+  // length, so the margin is scaled to match.
+  for (let i = 0; i < 3; i++) {
+    const i1 = (i + 1) % 3, i2 = (i + 2) % 3;
+    for (let j = 0; j < 3; j++) {
+      const j1 = (j + 1) % 3, j2 = (j + 2) % 3;
+      const ra = aHalf[i1] * absR[i2][j] + aHalf[i2] * absR[i1][j];
+      const rb = bHalf[j1] * absR[i][j2] + bHalf[j2] * absR[i][j1];
+      const along = t[i2] * r[i1][j] - t[i1] * r[i2][j];
+      const length = Math.sqrt(Math.max(0, 1 - r[i][j] * r[i][j]));
+      if (Math.abs(along) > ra + rb - margin * length) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * True if a sphere reaches into an oriented box by more than `margin`
+ * (a negative margin makes the sphere reach further)
+ */
+export function sphereIntersectsOBB(center, radius, box, margin = 0) {
+  return box.distanceToPoint(center) < radius - margin;
+}
@@ -0,0 +1,51 @@
+/**
+ * Combo Tracker
+ * Near-misses and jump-overs build a combo that raises the score
+ * multiplier. After a few seconds without one the combo starts draining,
+ * one step at a time.
+ */
+
+// Obstacles passing within this gap of the player count as near-misses
+export const NEAR_MISS_MARGIN = 0.5;
+
+const COMBO_GRACE = 2.5;       // seconds before an idle combo starts to drain
+const COMBO_DECAY_STEP = 0.5;  // seconds per lost combo step while draining
+const MULTIPLIER_PER_COMBO = 0.25;
+const MAX_MULTIPLIER = 4;
+
+export class ComboTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.combo = 0;
+    this.best = 0;
+    this.timer = 0;
+  }
+
+  get multiplier() {
+    return Math.min(MAX_MULTIPLIER, 1 + this.combo * MULTIPLIER_PER_COMBO);
+  }
+
+  /**
+   * Extend the combo and restart the grace period
+   */
+  add(amount = 1) {
+    this.combo += amount;
+    this.best = Math.max(this.best, this.combo);
+    this.timer = COMBO_GRACE;
+  }
+
+  /**
+   * Drain an idle combo. Returns true when the combo changed.
+   */
+  update(dt) {
+    if (this.combo === 0) return false;
+    this.timer -= dt;
+    if (this.timer > 0) return false;
+    this.combo--;
+    this.timer = COMBO_DECAY_STEP;
+    return true;
+  }
+}
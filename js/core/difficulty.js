@@ -0,0 +1,143 @@
+/**
+ * Difficulty Director
+ * Single source of truth for how hard the game is right now. A preset is a
+ * set of curves — keyframes of [x, value], linearly interpolated and held
+ * flat past either end — over either score or elapsed game time. The
+ * director evaluates them once per step and the obstacle, power-up and
+ * environment code read the results.
+ */
+
+/**
+ * Curve parameters every preset defines:
+ *   speed              obstacle, power-up and track scroll speed
+ *   spawnInterval      seconds between obstacle spawns
+ *   multiSpawnChance   chance of a second obstacle on each spawn
+ *   tripleSpawnChance  chance of a third obstacle on each spawn
+ *   explosiveChance    share of obstacles that are explosive
+ *   powerupInterval    seconds between power-up spawn attempts
+ *   powerupChance      chance a spawn attempt produces a power-up
+ *   patternChance      chance an obstacle spawn is an authored wave instead
+ */
+export const DIFFICULTY_PARAMS = [
+  'speed',
+  'spawnInterval',
+  'multiSpawnChance',
+  'tripleSpawnChance',
+  'explosiveChance',
+  'powerupInterval',
+  'powerupChance',
+  'patternChance',
+];
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    label: 'Easy',
+    axis: 'score',
+    peakAt: 200,
+    curves: {
+      speed: [[0, 12], [200, 24]],
+      spawnInterval: [[0, 1.5], [200, 0.7]],
+      multiSpawnChance: [[100, 0], [101, 0.2]],
+      tripleSpawnChance: [[0, 0]],
+      explosiveChance: [[0, 0.08], [200, 0.12]],
+      powerupInterval: [[0, 6], [200, 5]],
+      powerupChance: [[0, 0.75]],
+      patternChance: [[0, 0.05], [200, 0.2]],
+    },
+  },
+  // The original score-based ramp, which tops out at score 150. Step
+  // changes sit between consecutive integer scores.
+  normal: {
+    label: 'Normal',
+    axis: 'score',
+    peakAt: 150,
+    curves: {
+      speed: [[0, 15], [150, 30]],
+      spawnInterval: [[0, 1.2], [150, 0.45]],
+      multiSpawnChance: [[50, 0], [51, 0.3]],
+      tripleSpawnChance: [[125, 0], [126, 0.2]],
+      explosiveChance: [[0, 0.15]],
+      powerupInterval: [[0, 8], [150, 6.5]],
+      powerupChance: [[0, 0.6]],
+      patternChance: [[0, 0.1], [150, 0.3]],
+    },
+  },
+  // Ramps with survival time, so combo multipliers don't speed it up
+  hard: {
+    label: 'Hard',
+    axis: 'time',
+    peakAt: 40,
+    curves: {
+      speed: [[0, 20], [40, 34]],
+      spawnInterval: [[0, 0.9], [40, 0.35]],
+      multiSpawnChance: [[0, 0.15], [25, 0.4]],
+      tripleSpawnChance: [[10, 0], [40, 0.3]],
+      explosiveChance: [[0, 0.2], [40, 0.3]],
+      powerupInterval: [[0, 10], [40, 8]],
+      powerupChance: [[0, 0.5]],
+      patternChance: [[0, 0.2], [40, 0.4]],
+    },
+  },
+};
+
+/**
+ * Highest value a parameter reaches in any preset
+ */
+export function peakPresetValue(param) {
+  let peak = -Infinity;
+  for (const preset of Object.values(DIFFICULTY_PRESETS)) {
+    for (const [, value] of preset.curves[param]) {
+      peak = Math.max(peak, value);
+    }
+  }
+  return peak;
+}
+
+/**
+ * Value of a keyframe curve at x
+ */
+export function sampleCurve(keyframes, x) {
+  if (x <= keyframes[0][0]) return keyframes[0][1];
+  for (let i = 1; i < keyframes.length; i++) {
+    const [x1, y1] = keyframes[i];
+    if (x < x1) {
+      const [x0, y0] = keyframes[i - 1];
+      return y0 + (y1 - y0) * ((x - x0) / (x1 - x0));
+    }
+  }
+  return keyframes[keyframes.length - 1][1];
+}
+
+export class DifficultyDirector {
+  constructor(presetId = DEFAULT_DIFFICULTY) {
+    this.setPreset(presetId);
+  }
+
+  setPreset(presetId) {
+    const preset = DIFFICULTY_PRESETS[presetId];
+    if (!preset) {
+      throw new Error(`Unknown difficulty preset "${presetId}"`);
+    }
+    this.presetId = presetId;
+    this.preset = preset;
+    this.reset();
+  }
+
+  reset() {
+    this.update(0, 0);
+  }
+
+  /**
+   * Re-evaluate every curve for the current score and game time
+   */
+  update(score, time) {
+    const x = this.preset.axis === 'time' ? time : score;
+    // 0..1 progress towards the preset's peak
+    this.level = Math.min(x / this.preset.peakAt, 1);
+    for (const param of DIFFICULTY_PARAMS) {
+      this[param] = sampleCurve(this.preset.curves[param], x);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Game Event Bus
+ * The simulation publishes what happens each step here; audio, particles,
+ * HUD, stats and achievements subscribe instead of being called directly
+ * from the update loop.
+ */
+
+/**
+ * Event names. Subscribing to or emitting anything else throws, so a typo
+ * fails loudly instead of silently never firing.
+ */
+export const GAME_EVENTS = Object.freeze({
+  RUN_STARTED: 'runStarted',
+  PLAYER_JUMPED: 'playerJumped',
+  PLAYER_DASHED: 'playerDashed',
+  PLAYER_SLID: 'playerSlid',
+  SCORE_TICK: 'scoreTick',
+  OBSTACLE_DODGED: 'obstacleDodged',
+  NEAR_MISS: 'nearMiss',
+  JUMP_OVER: 'jumpOver',
+  COMBO_CHANGED: 'comboChanged',
+  MILESTONE: 'milestone',
+  POWERUP_COLLECTED: 'powerupCollected',
+  POWERUP_EXPIRED: 'powerupExpired',
+  SHARD_COLLECTED: 'shardCollected',
+  OBSTACLE_SHATTERED: 'obstacleShattered',
+  EXPLOSION: 'explosion',
+  PLAYER_HIT: 'playerHit',
+  LIFE_LOST: 'lifeLost',
+  LIFE_GAINED: 'lifeGained',
+  CONTINUE_OFFERED: 'continueOffered',
+  PLAYER_REVIVED: 'playerRevived',
+  POOL_EXHAUSTED: 'poolExhausted',
+  GAME_OVER: 'gameOver',
+});
+
+/**
+ * Payloads, by event name:
+ * @typedef {Object} GameEventPayloads
+ * @property {{ seed: number, difficulty: string, mode: string }} runStarted
+ * @property {{ position: import('./math.js').Vec3, double: boolean }} playerJumped
+ *   `double` for the second jump in the air
+ * @property {{ position: import('./math.js').Vec3, direction: number }} playerDashed
+ *   `direction` -1 left, 1 right
+ * @property {{ position: import('./math.js').Vec3 }} playerSlid
+ * @property {{ score: number, points: number }} scoreTick
+ * @property {{ position: import('./math.js').Vec3, type: string, isExplosive: boolean }} obstacleDodged
+ * @property {{ position: import('./math.js').Vec3, gap: number, combo: number }} nearMiss
+ * @property {{ position: import('./math.js').Vec3, combo: number }} jumpOver
+ * @property {{ combo: number, multiplier: number }} comboChanged
+ * @property {{ score: number, milestone: number }} milestone
+ * @property {{ type: string, color: number, position: import('./math.js').Vec3, refreshed: boolean }} powerupCollected
+ *   `refreshed` when that type was already running and its timer was topped up
+ * @property {{ type: string }} powerupExpired
+ * @property {{ position: import('./math.js').Vec3, shards: number }} shardCollected
+ *   `shards` collected so far this run
+ * @property {{ position: import('./math.js').Vec3, color: number, type: string, effect: string, isExplosive: boolean, bonus: number }} obstacleShattered
+ * @property {{ position: import('./math.js').Vec3, radius: number, cause: 'fuse' | 'shatter' | 'chain', chain: number, destroyed: { position: import('./math.js').Vec3, color: number, effect: string }[], distance: number }} explosion
+ *   `chain` counts blasts along a chain reaction from 0; `distance` is from the blast to the player
+ * @property {{ position: import('./math.js').Vec3, color: number, type: string, effect: string, isExplosive: boolean, blocked: boolean, spared: boolean }} playerHit
+ *   `blocked` when a power-up took the hit; `spared` when that was EXTRA LIFE
+ * @property {{ lives: number, cause: string, cleared: { position: import('./math.js').Vec3, color: number, effect: string }[] }} lifeLost
+ *   `lives` left after the hit; `cleared` obstacles were removed around the respawn
+ * @property {{ lives: number }} lifeGained
+ *   an EXTRA LIFE picked up in a mode with lives
+ * @property {{ score: number, cause: string }} continueOffered
+ *   last life lost; the run waits for Simulation.revive() or declineContinue()
+ * @property {{ lives: number, cleared: { position: import('./math.js').Vec3, color: number, effect: string }[] }} playerRevived
+ * @property {{ pool: 'obstacles' | 'powerups' | 'shards', dropped: number, capacity: number }} poolExhausted
+ *   spawns dropped this step because the pool was full at its cap
+ * @property {{ score: number, ticks: number, cause: string }} gameOver  cause is the obstacle type id
+ */
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+function assertKnown(type) {
+  if (!KNOWN_EVENTS.has(type)) {
+    throw new Error(`Unknown game event "${type}"`);
+  }
+}
+
+export class EventBus {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event. Returns an unsubscribe function.
+   */
+  on(type, listener) {
+    assertKnown(type);
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, []);
+    }
+    this._listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  emit(type, payload = {}) {
+    assertKnown(type);
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+    // Copy so listeners may unsubscribe while being notified
+    for (const listener of listeners.slice()) {
+      listener(payload);
+    }
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Core Math
+ * Minimal vector and box types for the simulation. The core deliberately
+ * avoids three.js so it can be stepped from plain Node; views copy these
+ * values onto their meshes.
+ */
+
+export class Vec3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    this.z = v.z;
+    return this;
+  }
+
+  clone() {
+    return new Vec3(this.x, this.y, this.z);
+  }
+
+  distanceTo(v) {
+    return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z);
+  }
+}
+
+/**
+ * Axis-aligned bounding box
+ */
+export class AABB {
+  constructor() {
+    this.min = new Vec3();
+    this.max = new Vec3();
+  }
+
+  setFromCenterAndHalfExtents(center, half) {
+    this.min.set(center.x - half.x, center.y - half.y, center.z - half.z);
+    this.max.set(center.x + half.x, center.y + half.y, center.z + half.z);
+    return this;
+  }
+
+  expandByScalar(amount) {
+    this.min.set(this.min.x - amount, this.min.y - amount, this.min.z - amount);
+    this.max.set(this.max.x + amount, this.max.y + amount, this.max.z + amount);
+    return this;
+  }
+
+  intersectsBox(box) {
+    return !(
+      box.max.x < this.min.x || box.min.x > this.max.x ||
+      box.max.y < this.min.y || box.min.y > this.max.y ||
+      box.max.z < this.min.z || box.min.z > this.max.z
+    );
+  }
+
+  /**
+   * Distance between this box and another along one axis ('x', 'y' or
+   * 'z'); 0 when their extents overlap on that axis
+   */
+  gapOnAxis(box, axis) {
+    return Math.max(0, box.min[axis] - this.max[axis], this.min[axis] - box.max[axis]);
+  }
+}
+
+export function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Half extents of the axis-aligned box around a box of half size
+ * (hx, hy, hz) rotated by Euler angles (XYZ order, as three.js uses).
+ */
+export function rotatedHalfExtents(rotation, hx, hy, hz, out) {
+  const a = Math.cos(rotation.x), b = Math.sin(rotation.x);
+  const c = Math.cos(rotation.y), d = Math.sin(rotation.y);
+  const e = Math.cos(rotation.z), f = Math.sin(rotation.z);
+  const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+  return out.set(
+    Math.abs(c * e) * hx + Math.abs(-c * f) * hy + Math.abs(d) * hz,
+    Math.abs(af + be * d) * hx + Math.abs(ae - bf * d) * hy + Math.abs(-b * c) * hz,
+    Math.abs(bf - ae * d) * hx + Math.abs(be + af * d) * hy + Math.abs(a * c) * hz
+  );
+}
@@ -0,0 +1,42 @@
+/**
+ * Game Modes
+ * Rules that differ between ways of playing. Classic ends the run on the
+ * first unprotected hit, as the leaderboard has always assumed, and is the
+ * only ranked mode. Lives gives spare lives — each lost one respawns the
+ * player briefly invulnerable with the nearby obstacles cleared away — and,
+ * on the last, one continue.
+ *
+ *   ranked           runs count for the leaderboard, high score and ghost
+ *   lives            lives at the start of a run
+ *   continues        revives offered once the last life is lost
+ *   invulnerability  seconds the player can't be hit after respawning
+ *   clearRadius      track units around the player cleared on respawn
+ *   moves            extra moves on top of left/right and jump (Classic
+ *                    keeps the original moveset its scores were set with):
+ *     variableJump   letting go of jump early cuts it short
+ *     doubleJump     one more jump in the air
+ *     dash           quick burst sideways, with a cooldown
+ *     slide          duck under cubes with a lower box
+ */
+export const GAME_MODES = {
+  classic: {
+    label: 'Classic',
+    ranked: true,
+    lives: 1,
+    continues: 0,
+    invulnerability: 0,
+    clearRadius: 0,
+    moves: { variableJump: false, doubleJump: false, dash: false, slide: false },
+  },
+  lives: {
+    label: 'Lives',
+    ranked: false,
+    lives: 3,
+    continues: 1,
+    invulnerability: 2,
+    clearRadius: 6,
+    moves: { variableJump: true, doubleJump: true, dash: true, slide: true },
+  },
+};
+
+export const DEFAULT_MODE = 'classic';
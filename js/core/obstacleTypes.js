@@ -0,0 +1,255 @@
+import { clamp } from './math.js';
+
+/**
+ * Obstacle Types
+ * Registry of obstacle behaviours. Every pooled Obstacle carries a type id
+ * from here; the type decides how it spawns, moves, looks, what it does
+ * when it hits the player and which particle effect it breaks into. Adding
+ * a type is one entry — spawning, collision and rendering read the rest.
+ */
+
+export const OBSTACLE_COLORS = [
+  0xff0055, // Hot pink
+  0xff6600, // Orange
+  0xffcc00, // Gold
+  0x00ff88, // Mint
+  0x0088ff, // Blue
+  0xff3366, // Rose
+];
+
+export const EXPLOSIVE_COLOR = 0xff0000;
+
+export const DEFAULT_OBSTACLE_TYPE = 'normal';
+
+const SLIDE_SPEED = [3, 6];
+const BOUNCE_GRAVITY = 30;
+const BOUNCE_VELOCITY = 12;
+const HOMING_SPEED = 3;
+// Homing cubes stop steering this far in front of the player
+const HOMING_LOCK_DISTANCE = 20;
+
+/**
+ * Bounce off the track edges while sliding sideways
+ */
+function slide(obstacle, dt, ctx) {
+  const pos = obstacle.position;
+  pos.x += obstacle.velocity.x * dt;
+  if (Math.abs(pos.x) > ctx.halfTrack) {
+    pos.x = Math.sign(pos.x) * ctx.halfTrack;
+    obstacle.velocity.x = -obstacle.velocity.x;
+  }
+}
+
+/**
+ * @typedef {Object} ObstacleType
+ * @property {string} label
+ * @property {number} weight         relative share of random spawns (0: never)
+ * @property {number} minLevel       director level (0..1) it starts spawning at
+ * @property {number[]} size         visual half-extents [x, y, z] at scale 1
+ * @property {number[]} scale        random scale range [min, max]
+ * @property {number[]} height       random centre height range [min, max]
+ * @property {boolean} [grounded]    sits on the track instead (ignores height)
+ * @property {boolean} tumble        spins while it travels
+ * @property {number[]} colors       palette picked from on spawn
+ * @property {{ emissive: number, opacity: number, pulse?: boolean, shell?: boolean }} visual
+ * @property {'crash' | 'explode'} hit  what touching it unshielded does
+ * @property {'shatter' | 'explosion' | 'sparks' | 'split'} effect  particles it breaks into
+ * @property {{ type: string, count: number, scale: number }} [split]  spawned on SHATTER
+ * @property {{ radius: number, fuse: number[], knockback: number }} [blast]  detonates
+ *   once within a random `fuse` distance [min, max] in front of the player,
+ *   or when shattered; `radius` is at scale 1
+ * @property {boolean} [anchored]    blasts can't knock it aside
+ * @property {string} deathMessage
+ * @property {(rng: Object) => number} [spawnX]  fixed spawn x instead of random
+ * @property {(obstacle: Object, rng: Object) => void} [init]
+ * @property {(obstacle: Object, dt: number, ctx: { target: ?Object, halfTrack: number }) => void} [move]
+ */
+
+/** @type {Object<string, ObstacleType>} */
+export const OBSTACLE_TYPES = {
+  normal: {
+    label: 'Cube',
+    weight: 10,
+    minLevel: 0,
+    size: [0.5, 0.5, 0.5],
+    scale: [0.7, 1.4],
+    height: [0.6, 2.1],
+    tumble: true,
+    colors: OBSTACLE_COLORS,
+    visual: { emissive: 0.4, opacity: 0.85 },
+    hit: 'crash',
+    effect: 'shatter',
+    deathMessage: 'Crashed into a cube',
+  },
+  // Chosen by the director's explosiveChance rather than by weight
+  explosive: {
+    label: 'Explosive',
+    weight: 0,
+    minLevel: 0,
+    size: [0.5, 0.5, 0.5],
+    scale: [0.9, 1.2],
+    height: [0.6, 2.1],
+    tumble: true,
+    colors: [EXPLOSIVE_COLOR],
+    visual: { emissive: 0.6, opacity: 0.85, pulse: true, shell: true },
+    hit: 'explode',
+    effect: 'explosion',
+    blast: { radius: 4, fuse: [4, 14], knockback: 14 },
+    deathMessage: 'Blown up by an explosive cube',
+    init(obstacle, rng) {
+      const [min, max] = obstacle.def.blast.fuse;
+      obstacle.fuse = rng.range(min, max);
+    },
+  },
+  slider: {
+    label: 'Slider',
+    weight: 2,
+    minLevel: 0.1,
+    size: [0.5, 0.5, 0.5],
+    scale: [0.7, 1.1],
+    height: [0.6, 1.6],
+    tumble: true,
+    colors: [0x00ffff, 0x0088ff],
+    visual: { emissive: 0.5, opacity: 0.85 },
+    hit: 'crash',
+    effect: 'shatter',
+    deathMessage: 'Caught by a sliding cube',
+    init(obstacle, rng) {
+      const speed = rng.range(SLIDE_SPEED[0], SLIDE_SPEED[1]);
+      obstacle.velocity.x = rng.chance(0.5) ? speed : -speed;
+    },
+    move: slide,
+  },
+  bouncer: {
+    label: 'Bouncer',
+    weight: 1.5,
+    minLevel: 0.2,
+    size: [0.5, 0.5, 0.5],
+    scale: [0.7, 1.0],
+    height: [1.5, 3],
+    tumble: true,
+    colors: [0x88ff00, 0x00ff88],
+    visual: { emissive: 0.5, opacity: 0.85 },
+    hit: 'crash',
+    effect: 'shatter',
+    deathMessage: 'Flattened by a bouncing cube',
+    init(obstacle) {
+      obstacle.velocity.y = 0;
+    },
+    move(obstacle, dt) {
+      const floor = obstacle.size.y;
+      obstacle.velocity.y -= BOUNCE_GRAVITY * dt;
+      obstacle.position.y += obstacle.velocity.y * dt;
+      if (obstacle.position.y < floor) {
+        obstacle.position.y = floor;
+        obstacle.velocity.y = BOUNCE_VELOCITY;
+      }
+    },
+  },
+  // Too tall to jump: has to be dodged
+  pillar: {
+    label: 'Pillar',
+    weight: 1.5,
+    minLevel: 0.15,
+    size: [0.4, 2, 0.4],
+    scale: [0.9, 1.1],
+    height: [0, 0],
+    grounded: true,
+    tumble: false,
+    colors: [0xaa44ff, 0x7722ff],
+    visual: { emissive: 0.3, opacity: 0.9 },
+    hit: 'crash',
+    effect: 'sparks',
+    deathMessage: 'Ran into a pillar',
+  },
+  // Spans the track at ankle height, wall to wall even at its smallest
+  // scale: has to be jumped
+  lowbar: {
+    label: 'Low Bar',
+    weight: 1,
+    minLevel: 0.25,
+    size: [5.3, 0.25, 0.3],
+    scale: [0.95, 1.05],
+    height: [0, 0],
+    grounded: true,
+    tumble: false,
+    colors: [0xffcc00, 0xffee55],
+    visual: { emissive: 0.5, opacity: 0.9 },
+    hit: 'crash',
+    effect: 'sparks',
+    deathMessage: 'Tripped over a low bar',
+    // Pinned to the middle: shoved aside it would open a way round
+    spawnX: () => 0,
+    anchored: true,
+  },
+  homing: {
+    label: 'Homing',
+    weight: 1,
+    minLevel: 0.4,
+    size: [0.5, 0.5, 0.5],
+    scale: [0.8, 1.1],
+    height: [0.6, 1.4],
+    tumble: true,
+    colors: [0xff00ff],
+    visual: { emissive: 0.7, opacity: 0.9, pulse: true },
+    hit: 'crash',
+    effect: 'shatter',
+    deathMessage: 'Hunted down by a homing cube',
+    move(obstacle, dt, ctx) {
+      const target = ctx.target;
+      if (!target || obstacle.position.z > target.z - HOMING_LOCK_DISTANCE) return;
+      const step = HOMING_SPEED * dt;
+      const dx = target.x - obstacle.position.x;
+      obstacle.position.x += clamp(dx, -step, step);
+    },
+  },
+  splitter: {
+    label: 'Splitter',
+    weight: 1.5,
+    minLevel: 0.1,
+    size: [0.5, 0.5, 0.5],
+    scale: [1.0, 1.4],
+    height: [0.6, 2.1],
+    tumble: true,
+    colors: [0xff8800, 0xff5500],
+    visual: { emissive: 0.4, opacity: 0.85, shell: true },
+    hit: 'crash',
+    effect: 'split',
+    split: { type: 'fragment', count: 2, scale: 0.55 },
+    deathMessage: 'Crashed into a splitting cube',
+  },
+  // What a splitter breaks into; only spawned by SHATTER
+  fragment: {
+    label: 'Fragment',
+    weight: 0,
+    minLevel: 0,
+    size: [0.5, 0.5, 0.5],
+    scale: [0.5, 0.8],
+    height: [0.6, 2.1],
+    tumble: true,
+    colors: [0xff8800, 0xff5500],
+    visual: { emissive: 0.6, opacity: 0.85 },
+    hit: 'crash',
+    effect: 'shatter',
+    deathMessage: 'Clipped by a cube fragment',
+    move: slide,
+  },
+};
+
+/**
+ * Weighted pick among the types unlocked at this difficulty level
+ */
+export function pickObstacleType(rng, level) {
+  let total = 0;
+  for (const type of Object.values(OBSTACLE_TYPES)) {
+    if (type.minLevel <= level) total += type.weight;
+  }
+
+  let roll = rng.next() * total;
+  for (const [id, type] of Object.entries(OBSTACLE_TYPES)) {
+    if (type.minLevel > level || type.weight === 0) continue;
+    roll -= type.weight;
+    if (roll < 0) return id;
+  }
+  return DEFAULT_OBSTACLE_TYPE;
+}
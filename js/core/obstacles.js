@@ -0,0 +1,456 @@
+import { Vec3, AABB, rotatedHalfExtents } from './math.js';
+import { OBB, obbIntersectsOBB } from './collision.js';
+import { ObjectPool } from './pool.js';
+import { OBSTACLE_TYPES, DEFAULT_OBSTACLE_TYPE, pickObstacleType } from './obstacleTypes.js';
+
+export { OBSTACLE_COLORS, EXPLOSIVE_COLOR } from './obstacleTypes.js';
+
+/**
+ * Obstacle Simulation
+ * Pooled obstacle state, spawning, collision and explosive blasts. How
+ * each obstacle looks and moves comes from its entry in OBSTACLE_TYPES.
+ * Rendering lives in ObstacleView.
+ */
+
+// Split pieces start this far beyond the broken obstacle's side, clear
+// of the player who broke it, and fly apart at this sideways speed
+const SPLIT_OFFSET = 2;
+const SPLIT_SPEED = 6;
+// Obstacles this close to a blast, as a share of its radius, are destroyed;
+// further out they are knocked aside
+const BLAST_DESTROY_FRACTION = 0.5;
+// How quickly knockback dies away (per second)
+const KNOCKBACK_DAMPING = 4;
+
+/**
+ * Largest half-extents, sideways and vertically, of an obstacle of this
+ * type at this scale. Tumbling ones can turn any corner outwards.
+ * @returns {{ x: number, y: number }}
+ */
+export function obstacleReach(scale, type = DEFAULT_OBSTACLE_TYPE) {
+  const [hx, hy, hz] = OBSTACLE_TYPES[type].size.map(h => h * scale);
+  if (OBSTACLE_TYPES[type].tumble) {
+    const reach = Math.hypot(hx, hy, hz);
+    return { x: reach, y: reach };
+  }
+  return { x: hx, y: hy };
+}
+
+/**
+ * Centre height that puts a grounded obstacle of this type on the track
+ */
+export function groundedHeight(scale, type) {
+  return OBSTACLE_TYPES[type].size[1] * scale;
+}
+
+class Obstacle {
+  constructor() {
+    this.position = new Vec3();
+    this.rotation = new Vec3();
+    this.rotSpeed = new Vec3();
+    this.velocity = new Vec3();  // type-driven drift (sliders, bouncers)
+    this.knockback = new Vec3();  // sideways shove from a nearby blast
+    this.fuse = Infinity;  // detonates this far in front of the player
+    this.fuseLeft = Infinity;  // track units until then
+    this.size = new Vec3();  // half-extents, scaled; also the collision box
+    this.scale = 1;
+    this.type = DEFAULT_OBSTACLE_TYPE;
+    this.def = OBSTACLE_TYPES[DEFAULT_OBSTACLE_TYPE];
+    this.color = this.def.colors[0];
+    this.active = false;
+    this.speed = 0;
+    this.isExplosive = false;
+    this.passed = false;  // already behind the player
+    // Closest approach to the player while alongside it, for near-misses
+    this.closestGap = Infinity;
+    this.clearedAbove = false;  // player passed over it in the air
+    this.phased = false;  // went through a player who couldn't be hit
+    this.obb = new OBB();
+    this.boundingBox = new AABB();
+    this._halfExtents = new Vec3();
+  }
+
+  /**
+   * `shape` ({ y, scale }) pins what is otherwise random, for patterns
+   */
+  activate(x, z, speed, type, rng, shape = null) {
+    const def = OBSTACLE_TYPES[type];
+    this.type = type;
+    this.def = def;
+    this.active = true;
+    this.speed = speed;
+    this.isExplosive = def.hit === 'explode';
+    this.passed = false;
+    this.closestGap = Infinity;
+    this.clearedAbove = false;
+    this.phased = false;
+
+    this.color = rng.pick(def.colors);
+    this.scale = shape ? shape.scale : rng.range(def.scale[0], def.scale[1]);
+    let y = rng.range(def.height[0], def.height[1]);
+    if (shape) y = shape.y;
+    if (def.grounded) y = groundedHeight(this.scale, type);
+    this.position.set(x, y, z);
+    this.size.set(def.size[0] * this.scale, def.size[1] * this.scale, def.size[2] * this.scale);
+
+    this.rotation.set(0, 0, 0);
+    if (def.tumble) {
+      this.rotSpeed.set(
+        (rng.next() - 0.5) * 4,
+        (rng.next() - 0.5) * 4,
+        (rng.next() - 0.5) * 4
+      );
+    } else {
+      this.rotSpeed.set(0, 0, 0);
+    }
+    this.velocity.set(0, 0, 0);
+    this.knockback.set(0, 0, 0);
+    this.fuse = Infinity;
+    this.fuseLeft = Infinity;
+    def.init?.(this, rng);
+  }
+
+  deactivate() {
+    this.active = false;
+    this.isExplosive = false;
+  }
+
+  /**
+   * `ctx` ({ target, halfTrack }) is what type behaviours steer by
+   */
+  update(dt, ctx) {
+    if (!this.active) return;
+    this.position.z += this.speed * dt;
+    this.def.move?.(this, dt, ctx);
+    if (this.knockback.x !== 0) {
+      this.position.x += this.knockback.x * dt;
+      this.knockback.x *= Math.exp(-KNOCKBACK_DAMPING * dt);
+      if (Math.abs(this.knockback.x) < 0.01) this.knockback.x = 0;
+    }
+    this.rotation.x += this.rotSpeed.x * dt;
+    this.rotation.y += this.rotSpeed.y * dt;
+    this.rotation.z += this.rotSpeed.z * dt;
+
+    const { x, y, z } = this.size;
+    this.obb.setFromTransform(this.position, this.rotation, x, y, z);
+    rotatedHalfExtents(this.rotation, x, y, z, this._halfExtents);
+    this.boundingBox.setFromCenterAndHalfExtents(this.position, this._halfExtents);
+  }
+}
+
+export class ObstacleManager {
+  /**
+   * The pool starts at `poolSize` obstacles and grows up to `maxPoolSize`
+   * during busy stretches; spawns beyond that are dropped and counted
+   */
+  constructor(rng, director, poolSize = 40, maxPoolSize = 120) {
+    this.rng = rng;
+    this.director = director;
+    this._slots = new ObjectPool(poolSize, () => new Obstacle(), maxPoolSize);
+    this.pool = this._slots.items;
+    this.spawnTimer = 0;
+    this.spawnZ = -80;
+    this.despawnZ = 10;
+    this.trackWidth = 10;
+
+    // Authored waves (PatternLibrary), mixed in once loaded
+    this.patterns = null;
+    // Patterns to spawn next, in order, ahead of anything random
+    this.queue = [];
+    this.randomSpawns = true;
+    // Power-ups placed by the last pattern, for the simulation to spawn:
+    // [{ x, z, speed, type }]
+    this.pendingPowerUps = [];
+    // Blasts since the simulation last resolved them, `chain` counting up
+    // from 0 along a chain reaction:
+    // [{ position, radius, cause, chain, destroyed: [{ position, color, effect }] }]
+    this.explosions = [];
+
+    this._passed = [];
+    // Passed to type behaviours each update
+    this._ctx = { target: null, halfTrack: this.trackWidth / 2 - 1 };
+  }
+
+  _getInactive() {
+    return this._slots.acquire();
+  }
+
+  /**
+   * Deactivate an obstacle and hand its slot back to the pool
+   */
+  _release(obstacle) {
+    if (!obstacle.active) return;
+    obstacle.deactivate();
+    this._slots.release(obstacle);
+  }
+
+  _spawnObstacle(speed) {
+    const obstacle = this._getInactive();
+    if (!obstacle) return;
+
+    const type = this.rng.chance(this.director.explosiveChance)
+      ? 'explosive'
+      : pickObstacleType(this.rng, this.director.level);
+    const spawnX = OBSTACLE_TYPES[type].spawnX;
+    const x = spawnX ? spawnX(this.rng) : (this.rng.next() * 2 - 1) * this._ctx.halfTrack;
+    obstacle.activate(x, this.spawnZ, speed, type, this.rng);
+  }
+
+  /**
+   * Spawn a whole pattern behind the spawn line. Returns false, spawning
+   * nothing, if the pool can't hold it.
+   */
+  _spawnPattern(pattern, speed) {
+    if (this._slots.available < pattern.cubeCount) return false;
+
+    for (const row of pattern.rows) {
+      const z = this.spawnZ - row.z;
+      for (const cube of row.cubes) {
+        this._getInactive().activate(cube.x, z, speed * cube.speed, cube.type, this.rng, cube);
+      }
+      if (row.powerup) {
+        const { x, type } = row.powerup;
+        this.pendingPowerUps.push({ x, z, speed: speed * row.powerup.speed, type });
+      }
+    }
+
+    // Hold random spawns until the pattern's tail has crossed the spawn line
+    this.spawnTimer = -pattern.length / speed;
+    return true;
+  }
+
+  /**
+   * Maybe spawn an authored pattern instead of random cubes this time
+   */
+  _trySpawnPattern(speed) {
+    if (!(this.patterns?.size > 0)) return false;
+    if (!this.rng.chance(this.director.patternChance)) return false;
+    const pattern = this.patterns.pick(this.rng, this.director.level);
+    if (pattern === null) return false;
+    if (this._spawnPattern(pattern, speed)) return true;
+    this._slots.reportExhausted(pattern.cubeCount);
+    return false;
+  }
+
+  /**
+   * `target` is the player position homing obstacles steer towards
+   */
+  update(dt, target = null) {
+    const { speed, spawnInterval, multiSpawnChance, tripleSpawnChance } = this.director;
+    this.pendingPowerUps.length = 0;
+
+    this.spawnTimer += dt;
+    if (this.spawnTimer >= spawnInterval) {
+      this.spawnTimer = 0;
+
+      if (this.queue.length > 0) {
+        // Wait for pool room rather than skipping a scripted pattern
+        if (this._spawnPattern(this.queue[0], speed)) this.queue.shift();
+      } else if (this.randomSpawns && !this._trySpawnPattern(speed)) {
+        this._spawnObstacle(speed);
+
+        if (multiSpawnChance > 0 && this.rng.chance(multiSpawnChance)) {
+          this._spawnObstacle(speed);
+        }
+        if (tripleSpawnChance > 0 && this.rng.chance(tripleSpawnChance)) {
+          this._spawnObstacle(speed);
+        }
+      }
+    }
+
+    this._slots.update(dt);
+    this._ctx.target = target;
+    for (const obstacle of this.pool) {
+      if (!obstacle.active) continue;
+      obstacle.update(dt, this._ctx);
+      if (obstacle.position.z > this.despawnZ) {
+        this._release(obstacle);
+      } else if (obstacle.def.blast && target) {
+        obstacle.fuseLeft = target.z - obstacle.fuse - obstacle.position.z;
+        if (obstacle.fuseLeft <= 0) this.detonate(obstacle, 'fuse');
+      }
+    }
+  }
+
+  /**
+   * Spawn this (PatternLibrary-normalized) pattern at the next spawn tick
+   */
+  queuePattern(pattern) {
+    this.queue.push(pattern);
+  }
+
+  /**
+   * True once every queued pattern has spawned and left the track
+   */
+  get idle() {
+    return this.queue.length === 0 && this.pool.every(o => !o.active);
+  }
+
+  /**
+   * Check collision with the player (anything with a `boundingBox` and an
+   * `obb`); the boxes must overlap by more than `forgiveness`. Returns
+   * collision info or null.
+   * { obstacle, type, isExplosive, position, color }
+   */
+  checkCollision(player, forgiveness = 0) {
+    for (const obstacle of this.pool) {
+      if (!obstacle.active) continue;
+      if (!player.boundingBox.intersectsBox(obstacle.boundingBox)) continue;
+      if (obbIntersectsOBB(player.obb, obstacle.obb, forgiveness)) {
+        return {
+          obstacle,
+          type: obstacle.type,
+          isExplosive: obstacle.isExplosive,
+          position: obstacle.position.clone(),
+          color: obstacle.color,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Obstacles that moved fully behind the player since the last call.
+   * While an obstacle is alongside the player this also records its
+   * closest lateral/vertical gap and whether the player went over it, or,
+   * while `phasing` (the player can't be hit), went through it.
+   * The returned array is reused between calls.
+   */
+  collectPassed(playerBBox, phasing = false) {
+    this._passed.length = 0;
+    for (const obstacle of this.pool) {
+      if (!obstacle.active || obstacle.passed) continue;
+      const box = obstacle.boundingBox;
+      if (box.min.z > playerBBox.max.z) {
+        obstacle.passed = true;
+        this._passed.push(obstacle);
+      } else if (box.max.z >= playerBBox.min.z) {
+        const gapX = playerBBox.gapOnAxis(box, 'x');
+        const gapY = playerBBox.gapOnAxis(box, 'y');
+        if (gapX === 0 && playerBBox.min.y > box.max.y) {
+          obstacle.clearedAbove = true;
+        }
+        obstacle.closestGap = Math.min(obstacle.closestGap, Math.max(gapX, gapY));
+        if (phasing && gapX === 0 && gapY === 0) obstacle.phased = true;
+      }
+    }
+    return this._passed;
+  }
+
+  /**
+   * Destroy an obstacle outright (used by SHIELD)
+   */
+  destroyObstacle(obstacle) {
+    this._release(obstacle);
+  }
+
+  /**
+   * Remove every obstacle within `radius` of `center` without setting
+   * anything off, to give a respawning player room. Returns what was
+   * removed, for effects: [{ position, color, effect }]
+   */
+  clearAround(center, radius) {
+    const cleared = [];
+    for (const obstacle of this.pool) {
+      if (!obstacle.active || obstacle.position.distanceTo(center) > radius) continue;
+      cleared.push({ position: obstacle.position.clone(), color: obstacle.color, effect: obstacle.def.effect });
+      this._release(obstacle);
+    }
+    return cleared;
+  }
+
+  /**
+   * Destroy an obstacle with SHATTER, spawning whatever its type splits
+   * into. The pieces fly apart sideways from where it broke.
+   */
+  shatterObstacle(obstacle) {
+    this._release(obstacle);
+    const split = obstacle.def.split;
+    if (!split) return;
+
+    // Copied first: the freed obstacle may be reused for a piece
+    const { x, y, z } = obstacle.position;
+    const { speed } = obstacle;
+    const shape = { y, scale: obstacle.scale * split.scale };
+    const offset = obstacle.size.x + SPLIT_OFFSET;
+    for (let i = 0; i < split.count; i++) {
+      const piece = this._getInactive();
+      if (!piece) break;
+      const side = i % 2 === 0 ? -1 : 1;
+      piece.activate(x + side * offset, z, speed, split.type, this.rng, shape);
+      piece.velocity.x = side * SPLIT_SPEED;
+      piece.passed = true;  // no dodge credit for pieces born beside the player
+    }
+  }
+
+  /**
+   * Blow up an explosive obstacle. Obstacles inside the blast radius are
+   * destroyed (close in) or knocked aside (further out, unless anchored
+   * like the low bar); explosives caught
+   * in it go off too, and so on down the chain. Every blast is added to
+   * `explosions` for the simulation to resolve. `cause` is what set off the
+   * first one: 'fuse' or 'shatter'.
+   */
+  detonate(obstacle, cause) {
+    const chain = [obstacle];
+    for (let depth = 0; depth < chain.length; depth++) {
+      const source = chain[depth];
+      const { blast } = source.def;
+      const position = source.position.clone();
+      const radius = blast.radius * source.scale;
+      this._release(source);
+
+      const destroyed = [];
+      for (const other of this.getActiveObstacles()) {
+        const distance = other.position.distanceTo(position);
+        if (distance > radius) continue;
+        if (other.def.blast) {
+          if (!chain.includes(other)) chain.push(other);
+        } else if (distance <= radius * BLAST_DESTROY_FRACTION) {
+          destroyed.push({ position: other.position.clone(), color: other.color, effect: other.def.effect });
+          this._release(other);
+        } else if (!other.def.anchored) {
+          const side = Math.sign(other.position.x - position.x) || 1;
+          other.knockback.x += side * blast.knockback * (1 - distance / radius);
+        }
+      }
+      this.explosions.push({
+        position,
+        radius,
+        cause: depth === 0 ? cause : 'chain',
+        chain: depth,
+        destroyed,
+      });
+    }
+  }
+
+  /**
+   * Spawns dropped because the pool was at its cap, since the last call
+   */
+  takeExhausted() {
+    return this._slots.takeExhausted();
+  }
+
+  get poolCapacity() {
+    return this._slots.maxSize;
+  }
+
+  /**
+   * All active obstacles, e.g. for blast radius checks
+   */
+  getActiveObstacles() {
+    return this.pool.filter(o => o.active);
+  }
+
+  reset() {
+    for (const obstacle of this.pool) {
+      obstacle.deactivate();
+    }
+    this._slots.reset();
+    this.spawnTimer = 0;
+    this.pendingPowerUps.length = 0;
+    this.explosions.length = 0;
+    this.queue.length = 0;
+    this.randomSpawns = true;
+  }
+}
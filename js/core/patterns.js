@@ -0,0 +1,287 @@
+import { obstacleReach, groundedHeight } from './obstacles.js';
+import { OBSTACLE_TYPES, DEFAULT_OBSTACLE_TYPE } from './obstacleTypes.js';
+import { POWERUP_TYPES } from './powerups.js';
+
+/**
+ * Obstacle Wave Patterns
+ * Authored waves (walls, corridors, jump lines, ...) loaded from
+ * data/patterns.json. A pattern is a list of rows; each row sits `z` units
+ * behind the first one and holds cubes at track x positions, plus an
+ * optional power-up:
+ *
+ *   { "id": "wall-gap-right", "weight": 2, "minLevel": 0.2,
+ *     "rows": [{ "z": 0, "cubes": [{ "x": -4 }, { "x": -2.5, "scale": 0.8 }],
+ *                "powerup": { "x": 3, "type": "SHIELD" } }] }
+ *
+ * Cubes default to y 1.2, scale 1 and type "normal"; `"explosive": true`
+ * is short for `"type": "explosive"`. Grounded types (pillars, low bars)
+ * ignore y. Types that move on their own can't be placed, since the gaps
+ * they leave can't be checked. Cubes and power-ups may set `speed`, a
+ * factor on the current track speed (default 1).
+ * `minLevel` is the director level (0..1) a pattern unlocks at.
+ *
+ * Every pattern is checked on load by sweeping its cubes in the order they
+ * reach the player and tracking which x positions the player can still
+ * reach, given how far they can move in between at top speed. A cube with
+ * its own speed arrives earlier or later than its row, so a fast cube can
+ * catch up with the rows ahead of it and is checked alongside them. Cubes
+ * low enough to jump over don't block; cubes high enough to run under
+ * don't either. An explosive blocks everything its blast reaches, since it
+ * may go off alongside the player; explosives chained into it blow up
+ * where they are, so each one's own blast covers that. A pattern that ever
+ * leaves no gap is rejected.
+ */
+
+const DEFAULT_CUBE_Y = 1.2;
+const MIN_SCALE = 0.3;
+const MAX_SCALE = 2;
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 2;
+// Narrowest span of player positions still counted as a gap
+const MIN_GAP = 0.1;
+
+/**
+ * @typedef {Object} PatternLimits
+ * @property {number} spawnHalfWidth   furthest |x| a cube may be placed at
+ * @property {number} playerHalfTrack  furthest |x| the player centre reaches
+ * @property {number} playerReach      player half-extent, sideways and up
+ * @property {number} playerTop        top of the player standing on the ground
+ * @property {number} jumpClearance    bottom of the player at the jump apex
+ * @property {number} moveSpeed        player sideways speed
+ * @property {number} maxSpeed         fastest the track can scroll
+ * @property {number} spawnDistance    how far ahead of the player rows spawn
+ */
+
+function fail(pattern, message) {
+  throw new Error(`Pattern "${pattern.id ?? '?'}": ${message}`);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkSpeed(pattern, i, speed) {
+  if (!isNumber(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+    fail(pattern, `row ${i} speed factor must be ${MIN_SPEED}-${MAX_SPEED}`);
+  }
+}
+
+/**
+ * Fill in defaults and check the shape of one pattern
+ */
+function normalizePattern(pattern, limits) {
+  if (typeof pattern?.id !== 'string') fail(pattern ?? {}, 'missing id');
+  const weight = pattern.weight ?? 1;
+  const minLevel = pattern.minLevel ?? 0;
+  if (!isNumber(weight) || weight <= 0) fail(pattern, 'weight must be positive');
+  if (!isNumber(minLevel) || minLevel < 0 || minLevel > 1) {
+    fail(pattern, 'minLevel must be between 0 and 1');
+  }
+  if (!Array.isArray(pattern.rows) || pattern.rows.length === 0) {
+    fail(pattern, 'needs at least one row');
+  }
+
+  let lastZ = 0;
+  let cubeCount = 0;
+  const rows = pattern.rows.map((row, i) => {
+    if (!isNumber(row.z) || row.z < lastZ) {
+      fail(pattern, `row ${i} z must be a number no smaller than the row before`);
+    }
+    lastZ = row.z;
+
+    const cubes = (row.cubes ?? []).map((cube) => {
+      const type = cube.type ?? (cube.explosive === true ? 'explosive' : DEFAULT_OBSTACLE_TYPE);
+      if (!Object.hasOwn(OBSTACLE_TYPES, type)) {
+        fail(pattern, `row ${i} has unknown obstacle type "${type}"`);
+      }
+      const def = OBSTACLE_TYPES[type];
+      if (def.move) fail(pattern, `row ${i} type "${type}" moves and can't be placed`);
+      const scale = cube.scale ?? 1;
+      const speed = cube.speed ?? 1;
+      if (!isNumber(cube.x) || Math.abs(cube.x) > limits.spawnHalfWidth) {
+        fail(pattern, `row ${i} has a cube outside the track`);
+      }
+      if (!isNumber(scale) || scale < MIN_SCALE || scale > MAX_SCALE) {
+        fail(pattern, `row ${i} cube scale must be ${MIN_SCALE}-${MAX_SCALE}`);
+      }
+      const y = def.grounded ? groundedHeight(scale, type) : cube.y ?? DEFAULT_CUBE_Y;
+      if (!isNumber(y) || y < 0) fail(pattern, `row ${i} cube y must be >= 0`);
+      checkSpeed(pattern, i, speed);
+      return { x: cube.x, y, scale, speed, type };
+    });
+    cubeCount += cubes.length;
+
+    let powerup = null;
+    if (row.powerup) {
+      const { x, type = null, speed = 1 } = row.powerup;
+      if (!isNumber(x) || Math.abs(x) > limits.spawnHalfWidth) {
+        fail(pattern, `row ${i} has a power-up outside the track`);
+      }
+      if (type !== null && !Object.hasOwn(POWERUP_TYPES, type)) {
+        fail(pattern, `row ${i} has unknown power-up type "${type}"`);
+      }
+      checkSpeed(pattern, i, speed);
+      powerup = { x, type, speed };
+    }
+    return { z: row.z, cubes, powerup };
+  });
+
+  return { id: pattern.id, weight, minLevel, rows, cubeCount, length: lastZ };
+}
+
+/**
+ * Player x ranges that these cubes leave open, as sorted [lo, hi] pairs
+ */
+function openIntervals(cubes, limits) {
+  const blocked = [];
+  for (const cube of cubes) {
+    const { blast } = OBSTACLE_TYPES[cube.type];
+    const radius = blast ? blast.radius * cube.scale : 0;
+    const box = obstacleReach(cube.scale, cube.type);
+    const reach = { x: Math.max(box.x, radius), y: Math.max(box.y, radius) };
+    const jumpable = cube.y + reach.y <= limits.jumpClearance;
+    const overhead = cube.y - reach.y >= limits.playerTop;
+    if (jumpable || overhead) continue;
+    const span = reach.x + limits.playerReach;
+    blocked.push([cube.x - span, cube.x + span]);
+  }
+  blocked.sort((a, b) => a[0] - b[0]);
+
+  const open = [];
+  let cursor = -limits.playerHalfTrack;
+  for (const [lo, hi] of blocked) {
+    if (lo > cursor) open.push([cursor, Math.min(lo, limits.playerHalfTrack)]);
+    cursor = Math.max(cursor, hi);
+  }
+  if (cursor < limits.playerHalfTrack) open.push([cursor, limits.playerHalfTrack]);
+  return open.filter(([lo, hi]) => hi - lo >= MIN_GAP);
+}
+
+/**
+ * Widen reachable ranges by how far the player can move, merging overlaps
+ */
+function widen(intervals, distance, halfTrack) {
+  const merged = [];
+  for (const [lo, hi] of intervals) {
+    const next = [Math.max(-halfTrack, lo - distance), Math.min(halfTrack, hi + distance)];
+    const last = merged[merged.length - 1];
+    if (last && next[0] <= last[1]) {
+      last[1] = Math.max(last[1], next[1]);
+    } else {
+      merged.push(next);
+    }
+  }
+  return merged;
+}
+
+function intersect(a, b) {
+  const result = [];
+  for (const [aLo, aHi] of a) {
+    for (const [bLo, bHi] of b) {
+      const lo = Math.max(aLo, bLo);
+      const hi = Math.min(aHi, bHi);
+      if (hi - lo >= MIN_GAP) result.push([lo, hi]);
+    }
+  }
+  return result.sort((x, y) => x[0] - y[0]);
+}
+
+/**
+ * Where along the pattern a cube would sit if it moved at track speed and
+ * still reached the player when it does. Spawned `spawnDistance` ahead of
+ * the player plus its row's z, it covers that at `speed` times the track.
+ */
+function arrivalZ(z, speed, limits) {
+  return (limits.spawnDistance + z) / speed - limits.spawnDistance;
+}
+
+/**
+ * The pattern's cubes grouped by when they reach the player, earliest
+ * first: [{ z, rows, cubes }], `z` being the arrival z and `rows` the
+ * authored rows the cubes come from
+ */
+function arrivalWaves(pattern, limits) {
+  const cubes = [];
+  pattern.rows.forEach((row, i) => {
+    for (const cube of row.cubes) {
+      cubes.push({ z: arrivalZ(row.z, cube.speed, limits), row: i, cube });
+    }
+  });
+  cubes.sort((a, b) => a.z - b.z);
+
+  const waves = [];
+  for (const { z, row, cube } of cubes) {
+    let wave = waves[waves.length - 1];
+    if (!wave || z > wave.z) {
+      wave = { z, rows: [], cubes: [] };
+      waves.push(wave);
+    }
+    if (!wave.rows.includes(row)) wave.rows.push(row);
+    wave.cubes.push(cube);
+  }
+  return waves;
+}
+
+/**
+ * Throw if the player could get trapped with no gap anywhere in the pattern
+ */
+function checkPassable(pattern, limits) {
+  let reachable = [[-limits.playerHalfTrack, limits.playerHalfTrack]];
+  let prevZ = -Infinity;
+  for (const wave of arrivalWaves(pattern, limits)) {
+    const travel = ((wave.z - prevZ) / limits.maxSpeed) * limits.moveSpeed;
+    reachable = intersect(widen(reachable, travel, limits.playerHalfTrack), openIntervals(wave.cubes, limits));
+    if (reachable.length === 0) {
+      const at = `reaching the player as if at z ${Math.round(wave.z * 10) / 10}`;
+      if (wave.rows.length === 1) fail(pattern, `row ${wave.rows[0]} (${at}) leaves no passable gap`);
+      fail(pattern, `rows ${wave.rows.join(', ')} together (${at}) leave no passable gap`);
+    }
+    prevZ = wave.z;
+  }
+}
+
+export class PatternLibrary {
+  /**
+   * @param {{ patterns: Object[] }} data  parsed data/patterns.json
+   * @param {PatternLimits} limits
+   */
+  constructor(data, limits) {
+    if (!Array.isArray(data?.patterns)) {
+      throw new Error('Pattern file must contain a "patterns" array');
+    }
+    this.patterns = [];
+    this.errors = [];  // messages for rejected patterns
+    for (const raw of data.patterns) {
+      try {
+        const pattern = normalizePattern(raw, limits);
+        checkPassable(pattern, limits);
+        this.patterns.push(pattern);
+      } catch (e) {
+        this.errors.push(e.message);
+      }
+    }
+  }
+
+  get size() {
+    return this.patterns.length;
+  }
+
+  /**
+   * Weighted pick among patterns unlocked at this difficulty level
+   */
+  pick(rng, level) {
+    let total = 0;
+    for (const p of this.patterns) {
+      if (p.minLevel <= level) total += p.weight;
+    }
+    if (total === 0) return null;
+
+    let roll = rng.next() * total;
+    for (const p of this.patterns) {
+      if (p.minLevel > level) continue;
+      roll -= p.weight;
+      if (roll < 0) return p;
+    }
+    return null;
+  }
+}
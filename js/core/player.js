@@ -0,0 +1,211 @@
+import { Vec3, AABB, clamp, rotatedHalfExtents } from './math.js';
+import { OBB } from './collision.js';
+import { OBSTACLE_TYPES } from './obstacleTypes.js';
+
+/**
+ * Player Body
+ * Lateral movement, jump physics, the extra moves a game mode allows
+ * (GAME_MODES `moves`) and the collision box of the player cube.
+ * Rendering lives in PlayerView.
+ */
+
+// The rendered player cube is 1 unit across
+const HIT_HALF_SIZE = 0.5;
+
+// Letting go of jump on the way up makes gravity this much stronger, so a
+// tap is a short hop and holding reaches the full jumpApex
+const JUMP_RELEASE_GRAVITY = 2.5;
+
+// A double jump rises to this centre height wherever it starts, which
+// keeps the cube's bottom PILLAR_MARGIN under the shortest pillar's top:
+// pillars still have to be dodged
+const PILLAR_MARGIN = 0.3;
+const SHORTEST_PILLAR = OBSTACLE_TYPES.pillar.size[1] * 2 * OBSTACLE_TYPES.pillar.scale[0];
+const DOUBLE_JUMP_APEX = SHORTEST_PILLAR - PILLAR_MARGIN + HIT_HALF_SIZE;
+
+// A dash covers DASH_SPEED * DASH_TIME track units sideways
+const DASH_SPEED = 30;
+const DASH_TIME = 0.15;
+const DASH_COOLDOWN = 1;
+
+// A slide squashes the box to this share of its height, resting on the
+// track; pressed in the air it pulls the cube down this much faster
+const SLIDE_HEIGHT = 0.45;
+const SLIDE_FAST_FALL = 3;
+
+// The original moveset: move and a single full-height jump
+export const BASIC_MOVES = {
+  variableJump: false,
+  doubleJump: false,
+  dash: false,
+  slide: false,
+};
+
+// Largest half-extent the spinning box reaches sideways or vertically;
+// pattern validation uses it to decide what counts as a passable gap.
+export const PLAYER_MAX_HALF_EXTENT = HIT_HALF_SIZE * Math.SQRT2;
+
+export class PlayerBody {
+  constructor(clock) {
+    // Game time source for the wobble
+    this.clock = clock;
+
+    // Track boundaries
+    this.trackWidth = 10;
+
+    // Movement
+    this.moveSpeed = 12;
+
+    // Jump physics
+    this.jumpForce = 12;
+    this.gravity = 30;
+    this.velocityY = 0;
+    this.isGrounded = true;
+    this.groundY = 0.6;
+
+    // Extra moves allowed, set from the game mode
+    this.moves = BASIC_MOVES;
+    this.airJumps = 0;  // jumps left before landing again
+    this.dashTime = 0;  // seconds left of the running dash
+    this.dashCooldown = 0;
+    this.dashDirection = 0;
+    this.sliding = false;
+    // Box height relative to the rendered cube (1 standing, less sliding)
+    this.heightScale = 1;
+
+    this.position = new Vec3(0, this.groundY, 0);
+    this.rotation = new Vec3();
+    // Collision box size relative to the rendered cube (SHRINK lowers it)
+    this.hitScale = 1;
+
+    // Collision box, turned with the cube, and the axis-aligned box around it
+    this.obb = new OBB();
+    this.boundingBox = new AABB();
+    this._halfExtents = new Vec3();
+  }
+
+  update(dt, inputActions) {
+    // Lateral movement; a dash takes over until it ends
+    this.dashCooldown = Math.max(0, this.dashCooldown - dt);
+    if (this.dashTime > 0) {
+      const t = Math.min(dt, this.dashTime);
+      this.position.x += this.dashDirection * DASH_SPEED * t;
+      this.dashTime -= t;
+    } else {
+      if (inputActions.moveLeft) {
+        this.position.x -= this.moveSpeed * dt;
+      }
+      if (inputActions.moveRight) {
+        this.position.x += this.moveSpeed * dt;
+      }
+    }
+
+    // Clamp to track boundaries
+    const halfTrack = this.trackWidth / 2 - 0.5;
+    this.position.x = clamp(this.position.x, -halfTrack, halfTrack);
+
+    // Jump physics
+    if (!this.isGrounded) {
+      let gravity = this.gravity;
+      if (this.moves.variableJump && !inputActions.jumpHeld && this.velocityY > 0) {
+        gravity *= JUMP_RELEASE_GRAVITY;
+      }
+      if (this.moves.slide && inputActions.moveBackward) gravity *= SLIDE_FAST_FALL;
+      this.velocityY -= gravity * dt;
+      this.position.y += this.velocityY * dt;
+      if (this.position.y <= this.groundY) {
+        this.position.y = this.groundY;
+        this.velocityY = 0;
+        this.isGrounded = true;
+      }
+    }
+
+    // Sliding keeps the squashed box resting on the track
+    const half = HIT_HALF_SIZE * this.hitScale;
+    this.heightScale = this.sliding ? SLIDE_HEIGHT : 1;
+    if (this.sliding) this.position.y = this.groundY - half * (1 - SLIDE_HEIGHT);
+
+    // Spin and wobble (the collision box turns with the cube)
+    this.rotation.y += 0.8 * dt;
+    this.rotation.x = Math.sin(this.clock.time * 2) * 0.1;
+
+    // Update collision boxes
+    const halfY = half * this.heightScale;
+    this.obb.setFromTransform(this.position, this.rotation, half, halfY, half);
+    rotatedHalfExtents(this.rotation, half, halfY, half, this._halfExtents);
+    this.boundingBox.setFromCenterAndHalfExtents(this.position, this._halfExtents);
+  }
+
+  /**
+   * Height of the player's centre at the top of a jump
+   */
+  get jumpApex() {
+    return this.groundY + (this.jumpForce * this.jumpForce) / (2 * this.gravity);
+  }
+
+  /**
+   * Jump from the track, or jump again in the air if the mode allows a
+   * double jump and it's not used yet. Ends a slide.
+   */
+  jump() {
+    if (this.isGrounded) {
+      this._standUp();
+      this.velocityY = this.jumpForce;
+      this.isGrounded = false;
+      this.airJumps = this.moves.doubleJump ? 1 : 0;
+      return true;
+    }
+    if (this.airJumps > 0 && this.position.y < DOUBLE_JUMP_APEX) {
+      this.velocityY = Math.sqrt(2 * this.gravity * (DOUBLE_JUMP_APEX - this.position.y));
+      this.airJumps--;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Start a dash towards `direction` (-1 left, 1 right); false if the
+   * mode has none, no direction is given, or it's cooling down
+   */
+  dash(direction) {
+    if (!this.moves.dash || direction === 0 || this.dashTime > 0 || this.dashCooldown > 0) {
+      return false;
+    }
+    this.dashDirection = direction;
+    this.dashTime = DASH_TIME;
+    this.dashCooldown = DASH_COOLDOWN;
+    return true;
+  }
+
+  /**
+   * Slide while `held` and on the track. Returns true when a slide starts.
+   */
+  slide(held) {
+    if (held && this.moves.slide && this.isGrounded && !this.sliding) {
+      this.sliding = true;
+      return true;
+    }
+    if (!held && this.sliding) this._standUp();
+    return false;
+  }
+
+  _standUp() {
+    if (!this.sliding) return;
+    this.sliding = false;
+    this.position.y = this.groundY;
+  }
+
+  reset() {
+    this.position.set(0, this.groundY, 0);
+    this.rotation.set(0, 0, 0);
+    this.hitScale = 1;
+    this.heightScale = 1;
+    this.velocityY = 0;
+    this.isGrounded = true;
+    this.airJumps = 0;
+    this.dashTime = 0;
+    this.dashCooldown = 0;
+    this.dashDirection = 0;
+    this.sliding = false;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Object Pool
+ * Reusable objects plus a stack of the free ones, so taking and returning
+ * an object is constant time. The pool starts at `size` objects and grows
+ * on demand up to `maxSize`; call update() every step and, after a peak,
+ * it trims the spare objects back towards `size`. Requests refused at the
+ * cap are counted so the owner can report them. Objects keep their own
+ * `active` flag; the owner must release every object it deactivates.
+ */
+
+// Seconds between trims, and the room kept above the recent peak
+const SHRINK_INTERVAL = 5;
+const SHRINK_HEADROOM = 1.25;
+
+/**
+ * When a growable pool may trim, and to what size: tracks the most
+ * objects in use since the last trim and, every SHRINK_INTERVAL seconds,
+ * allows dropping what that peak didn't need. Shared by ObjectPool and
+ * pools that manage their own storage (ParticleSystem).
+ */
+export class ShrinkSchedule {
+  /**
+   * @param {number} baseSize  the least a trim goes down to
+   */
+  constructor(baseSize) {
+    this.baseSize = baseSize;
+    this.reset();
+  }
+
+  /**
+   * Record how many objects are in use right after taking one
+   */
+  note(inUse) {
+    this._peak = Math.max(this._peak, inUse);
+  }
+
+  /**
+   * Advance the timer. Returns the size to trim to when a trim is due,
+   * otherwise null; the peak then starts over from `inUse`.
+   */
+  update(dt, inUse) {
+    this._timer += dt;
+    if (this._timer < SHRINK_INTERVAL) return null;
+    this._timer = 0;
+    const target = Math.max(this.baseSize, Math.ceil(this._peak * SHRINK_HEADROOM));
+    this._peak = inUse;
+    return target;
+  }
+
+  reset() {
+    this._peak = 0;
+    this._timer = 0;
+  }
+}
+
+export class ObjectPool {
+  /**
+   * @param {number} size  objects made up front, and the least it trims to
+   * @param {() => Object} create  makes one pooled object
+   * @param {number} [maxSize]  most objects it grows to (default: `size`)
+   */
+  constructor(size, create, maxSize = size) {
+    this.items = [];
+    this._free = [];
+    this._create = create;
+    this.baseSize = size;
+    this.maxSize = Math.max(size, maxSize);
+    // Requests refused at the cap, since the last takeExhausted()
+    this.exhausted = 0;
+    this._shrink = new ShrinkSchedule(size);
+    for (let i = 0; i < size; i++) {
+      this.items.push(create());
+    }
+    this.reset();
+  }
+
+  /**
+   * A free object, growing the pool if needed; null (and counted) once
+   * the pool is at its cap and every object is in use
+   */
+  acquire() {
+    let item = this._free.pop();
+    if (!item && this.items.length < this.maxSize) {
+      item = this._create();
+      this.items.push(item);
+    }
+    if (!item) {
+      this.exhausted++;
+      return null;
+    }
+    this._shrink.note(this.inUse);
+    return item;
+  }
+
+  release(item) {
+    this._free.push(item);
+  }
+
+  /**
+   * Objects that could still be acquired, counting room to grow
+   */
+  get available() {
+    return this._free.length + this.maxSize - this.items.length;
+  }
+
+  get inUse() {
+    return this.items.length - this._free.length;
+  }
+
+  /**
+   * Count requests the owner turned away itself because the pool was
+   * too full (e.g. a whole pattern that didn't fit)
+   */
+  reportExhausted(count = 1) {
+    this.exhausted += count;
+  }
+
+  /**
+   * Refused requests since the last call
+   */
+  takeExhausted() {
+    const count = this.exhausted;
+    this.exhausted = 0;
+    return count;
+  }
+
+  /**
+   * When a trim is due (ShrinkSchedule), drop spare objects the recent
+   * peak didn't need, never going below the starting size
+   */
+  update(dt) {
+    const target = this._shrink.update(dt, this.inUse);
+    if (target === null) return;
+    while (this.items.length > target && this._free.length > 0) {
+      const item = this._free.pop();
+      this.items.splice(this.items.indexOf(item), 1);
+    }
+  }
+
+  /**
+   * Mark every object free again and drop back to the starting size, so
+   * every run starts from the same pool; the owner deactivates them itself
+   */
+  reset() {
+    this.items.length = Math.min(this.items.length, this.baseSize);
+    this._free.length = 0;
+    // Reversed so objects are handed out in pool order
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      this._free.push(this.items[i]);
+    }
+    this.exhausted = 0;
+    this._shrink.reset();
+  }
+}
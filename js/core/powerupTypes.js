@@ -0,0 +1,36 @@
+import { SHATTER } from './powerups/shatter.js';
+import { SHIELD } from './powerups/shield.js';
+import { EXTRA_LIFE } from './powerups/extraLife.js';
+import { DOUBLE } from './powerups/double.js';
+import { MAGNET } from './powerups/magnet.js';
+import { SLOW_MO } from './powerups/slowMo.js';
+import { SHRINK } from './powerups/shrink.js';
+
+export { REFRESH_RULES, HIT_OUTCOMES } from './powerups/api.js';
+
+/**
+ * Power-Up Type Registry
+ * Every power-up definition (see powerups/api.js), keyed by id. The order
+ * matters: when the player is hit, running types are asked to handle it
+ * in this order, so the one-off EXTRA LIFE is only spent when nothing
+ * else protects the player.
+ */
+export const POWERUP_DEFS = Object.fromEntries(
+  [SHATTER, SHIELD, EXTRA_LIFE, DOUBLE, MAGNET, SLOW_MO, SHRINK].map(def => [def.id, def])
+);
+
+export const POWERUP_TYPES = Object.fromEntries(Object.keys(POWERUP_DEFS).map(id => [id, id]));
+
+const TOTAL_WEIGHT = Object.values(POWERUP_DEFS).reduce((sum, def) => sum + def.weight, 0);
+
+/**
+ * A random power-up type, weighted by each definition's `weight`
+ */
+export function pickPowerUpType(rng) {
+  let roll = rng.next() * TOTAL_WEIGHT;
+  for (const def of Object.values(POWERUP_DEFS)) {
+    roll -= def.weight;
+    if (roll < 0) return def.id;
+  }
+  return SHIELD.id;
+}
@@ -0,0 +1,270 @@
+import { Vec3, AABB } from './math.js';
+import { sphereIntersectsOBB } from './collision.js';
+import { ObjectPool } from './pool.js';
+import { POWERUP_DEFS, REFRESH_RULES, pickPowerUpType } from './powerupTypes.js';
+
+export { POWERUP_TYPES, POWERUP_DEFS } from './powerupTypes.js';
+
+/**
+ * Power-Up Simulation
+ * Pickups spawn periodically on the track and are collected on player
+ * collision. Each collected type runs as its own effect with its own timer,
+ * so several can be active at once; what an effect does comes from its
+ * definition's hooks (powerups/api.js). Rendering lives in PowerUpView.
+ */
+
+// The diamond spins inside its glow ring, so pickups are round: a sphere
+// the size of the ring, reaching slightly further to be generous
+export const PICKUP_RADIUS = 0.75;
+const PICKUP_REACH = 0.2;
+const PICKUP_HALF_SIZE = PICKUP_RADIUS + PICKUP_REACH;
+
+class PowerUp {
+  constructor() {
+    this.position = new Vec3();
+    this.active = false;
+    this.type = null;
+    this.speed = 0;
+    this.baseY = 1.2;
+    this.boundingBox = new AABB();
+    this._halfExtents = new Vec3(PICKUP_HALF_SIZE, PICKUP_HALF_SIZE, PICKUP_HALF_SIZE);
+  }
+
+  activate(x, z, speed, type) {
+    this.type = type;
+    this.position.set(x, this.baseY, z);
+    this.active = true;
+    this.speed = speed;
+  }
+
+  deactivate() {
+    this.active = false;
+    this.type = null;
+  }
+
+  update(dt, time) {
+    if (!this.active) return;
+    this.position.z += this.speed * dt;
+
+    // Float animation
+    this.position.y = this.baseY + Math.sin(time * 4) * 0.3;
+
+    this.boundingBox.setFromCenterAndHalfExtents(this.position, this._halfExtents);
+  }
+}
+
+export class PowerUpManager {
+  constructor(rng, clock, director, poolSize = 10, maxPoolSize = 20) {
+    this.rng = rng;
+    this.clock = clock;
+    this.director = director;
+    this._slots = new ObjectPool(poolSize, () => new PowerUp(), maxPoolSize);
+    this.pool = this._slots.items;
+    this.spawnTimer = 0;
+    this.randomSpawns = true;  // off when only scripted patterns should appear
+    this.spawnZ = -80;
+    this.despawnZ = 10;
+    this.trackWidth = 10;
+
+    // Running effects by type, in the order they were first collected
+    /** @type {Map<string, import('./powerups/api.js').PowerUpEffect>} */
+    this.active = new Map();
+    // Types that ran out or were used up since the last takeExpired()
+    this._expired = [];
+    this._drained = [];
+  }
+
+  _getInactive() {
+    return this._slots.acquire();
+  }
+
+  /**
+   * Deactivate a power-up and hand its slot back to the pool
+   */
+  _release(pu) {
+    if (!pu.active) return;
+    pu.deactivate();
+    this._slots.release(pu);
+  }
+
+  _randomType() {
+    return pickPowerUpType(this.rng);
+  }
+
+  /**
+   * Place a power-up at a fixed spot (used by obstacle patterns). A null
+   * type picks one at random.
+   */
+  spawnAt(x, z, speed, type = null) {
+    const pu = this._getInactive();
+    if (!pu) return;
+    pu.activate(x, z, speed, type ?? this._randomType());
+  }
+
+  /**
+   * Spawn and move pickups
+   */
+  update(dt) {
+    const { speed, powerupInterval, powerupChance } = this.director;
+
+    // Spawn timer
+    this.spawnTimer += dt;
+    if (this.randomSpawns && this.spawnTimer >= powerupInterval) {
+      this.spawnTimer = 0;
+      if (this.rng.chance(powerupChance)) {
+        const pu = this._getInactive();
+        if (pu) {
+          const halfTrack = this.trackWidth / 2 - 1;
+          const x = (this.rng.next() * 2 - 1) * halfTrack;
+          pu.activate(x, this.spawnZ, speed, this._randomType());
+        }
+      }
+    }
+
+    // Update pool
+    this._slots.update(dt);
+    for (const pu of this.pool) {
+      if (!pu.active) continue;
+      pu.update(dt, this.clock.time);
+      if (pu.position.z > this.despawnZ) {
+        this._release(pu);
+      }
+    }
+  }
+
+  /**
+   * Run every effect's onTick hook and count its timer down; called at the
+   * start of each step, after the simulation has reset the modifiers the
+   * hooks set
+   */
+  tickEffects(sim, dt) {
+    for (const effect of this.active.values()) {
+      effect.def.onTick?.(sim, effect, dt);
+      if (effect.timeLeft === null) continue;
+      effect.timeLeft -= dt;
+      if (effect.timeLeft <= 0) this.end(effect.type);
+    }
+  }
+
+  /**
+   * Start a type's effect, or apply its refresh rule when it's already
+   * running. Returns true if it was already running.
+   */
+  _activate(sim, type) {
+    const def = POWERUP_DEFS[type];
+    let effect = this.active.get(type);
+    const refreshed = effect !== undefined;
+    if (!effect) {
+      effect = {
+        type,
+        def,
+        timeLeft: def.duration,
+        duration: def.duration,
+        charges: 1,
+        label: def.label,
+        color: def.color,
+      };
+      this.active.set(type, effect);
+    } else if (def.refresh === REFRESH_RULES.STACK) {
+      effect.charges++;
+    } else if (def.refresh === REFRESH_RULES.EXTEND) {
+      effect.timeLeft = Math.min(effect.timeLeft + def.duration, def.maxDuration ?? Infinity);
+      effect.duration = effect.timeLeft;
+    } else {
+      effect.timeLeft = def.duration;
+      effect.duration = def.duration;
+    }
+    def.onCollect?.(sim, effect, refreshed);
+    return refreshed;
+  }
+
+  /**
+   * Stop a running effect, e.g. when a hook has used up its last charge
+   */
+  end(type) {
+    if (this.active.delete(type)) this._expired.push(type);
+  }
+
+  /**
+   * Types that ended since the last call (the list is reused)
+   */
+  takeExpired() {
+    this._drained.length = 0;
+    this._drained.push(...this._expired);
+    this._expired.length = 0;
+    return this._drained;
+  }
+
+  /**
+   * Offer a hit to the running effects in registry order; the first
+   * HIT_OUTCOMES value returned wins, or null if none handled it
+   * @param {import('./powerups/api.js').PowerUpHit} hit
+   */
+  resolveHit(sim, hit) {
+    for (const type in POWERUP_DEFS) {
+      const effect = this.active.get(type);
+      const outcome = effect && effect.def.onObstacleHit?.(sim, effect, hit);
+      if (outcome) return outcome;
+    }
+    return null;
+  }
+
+  /**
+   * Product of the running effects' score multipliers
+   */
+  scoreMultiplier() {
+    let multiplier = 1;
+    for (const effect of this.active.values()) {
+      multiplier *= effect.def.scoreMultiplier?.(effect) ?? 1;
+    }
+    return multiplier;
+  }
+
+  /**
+   * Collect the first power-up touching `sim.player` (anything with a
+   * `boundingBox` and an `obb`); `sim` is passed on to onCollect
+   */
+  checkCollision(sim) {
+    const player = sim.player;
+    for (const pu of this.pool) {
+      if (!pu.active) continue;
+      if (!player.boundingBox.intersectsBox(pu.boundingBox)) continue;
+      if (sphereIntersectsOBB(pu.position, PICKUP_RADIUS, player.obb, -PICKUP_REACH)) {
+        const type = pu.type;
+        this._release(pu);
+        const refreshed = this._activate(sim, type);
+        return { type, color: POWERUP_DEFS[type].color, position: pu.position.clone(), refreshed };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Spawns dropped because the pool was at its cap, since the last call
+   */
+  takeExhausted() {
+    return this._slots.takeExhausted();
+  }
+
+  get poolCapacity() {
+    return this._slots.maxSize;
+  }
+
+  /**
+   * Running effects by type (see `active`); don't modify
+   */
+  getActiveEffects() {
+    return this.active;
+  }
+
+  reset() {
+    for (const pu of this.pool) {
+      pu.deactivate();
+    }
+    this._slots.reset();
+    this.active.clear();
+    this._expired.length = 0;
+    this.spawnTimer = 0;
+    this.randomSpawns = true;
+  }
+}
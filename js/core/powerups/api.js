@@ -0,0 +1,75 @@
+/**
+ * Power-Up Definition API
+ * Every power-up type is one plain object in its own file in this folder,
+ * listed in powerupTypes.js. The simulation, player view and HUD only go
+ * through the fields and hooks below, so a new type needs nothing else.
+ *
+ * @typedef {Object} PowerUpDefinition
+ * @property {string} id  type id, also used in patterns and saved stats
+ * @property {string} label  HUD and editor name
+ * @property {string} hudIcon  emoji shown on the HUD and in run stats
+ * @property {number} color  pickup and HUD colour
+ * @property {number} emissive  pickup glow
+ * @property {number} weight  relative chance among random pickups
+ * @property {number|null} duration  seconds; null lasts until used up
+ * @property {string} refresh  what collecting it again does (REFRESH_RULES)
+ * @property {number} [maxDuration]  cap for REFRESH_RULES.EXTEND
+ * @property {(sim, effect: PowerUpEffect, refreshed: boolean) => void} [onCollect]
+ * @property {(sim, effect: PowerUpEffect, dt: number) => void} [onTick]
+ *   runs at the start of every step while active; modifiers it sets
+ *   (`player.hitScale`, `sim.trackTimeScale`) are reset before each step
+ * @property {(sim, effect: PowerUpEffect, hit: PowerUpHit) => string|null} [onObstacleHit]
+ *   a HIT_OUTCOMES value to handle the hit, or null to let it through.
+ *   Types are asked in powerupTypes.js order until one handles it.
+ * @property {(effect: PowerUpEffect) => number} [scoreMultiplier]
+ * @property {PlayerVisuals} playerVisuals
+ *
+ * @typedef {Object} PowerUpEffect  a running power-up
+ * @property {string} type
+ * @property {PowerUpDefinition} def
+ * @property {number|null} timeLeft  null while untimed
+ * @property {number|null} duration  what the timer last started from
+ * @property {number} charges  uses left (REFRESH_RULES.STACK adds one)
+ * @property {string} label
+ * @property {number} color
+ *
+ * @typedef {Object} PowerUpHit
+ * @property {Object|null} obstacle  null when the player is caught in a blast
+ * @property {string} type  obstacle type id
+ *
+ * @typedef {Object} PlayerVisuals  how the player cube looks while active;
+ *   several running effects are blended. Rates multiply milliseconds.
+ * @property {number} glow  glow shell colour
+ * @property {number} glowOpacity
+ * @property {number} glowRate
+ * @property {number} glowSwing
+ * @property {number} warnAt  seconds left when it starts blinking
+ * @property {number} [emissive]  cube emissive colour
+ * @property {number} [intensity]
+ * @property {number} [rate]
+ * @property {number} [swing]
+ * @property {boolean} [shield]  show the shield bubble
+ * @property {number} [scale]  cube size
+ */
+
+/**
+ * What collecting a power-up that is already running does: REFRESH
+ * restarts its timer at full duration, EXTEND adds another duration on
+ * top (up to `maxDuration`), STACK adds a charge
+ */
+export const REFRESH_RULES = {
+  REFRESH: 'refresh',
+  EXTEND: 'extend',
+  STACK: 'stack',
+};
+
+/**
+ * How an onObstacleHit hook handles a hit: SHATTER breaks the obstacle for
+ * bonus points, BLOCK removes it harmlessly, SPARE removes it too but by
+ * spending a spare life rather than blocking
+ */
+export const HIT_OUTCOMES = {
+  SHATTER: 'shatter',
+  BLOCK: 'block',
+  SPARE: 'spare',
+};
@@ -0,0 +1,27 @@
+import { REFRESH_RULES } from './api.js';
+
+/**
+ * DOUBLE — 2x score; collecting another adds to the timer
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const DOUBLE = {
+  id: 'DOUBLE',
+  label: '⚡ 2X SCORE',
+  hudIcon: '⚡',
+  color: 0xffcc00,
+  emissive: 0x886600,
+  weight: 1,
+  duration: 8,
+  refresh: REFRESH_RULES.EXTEND,
+  maxDuration: 16,
+
+  scoreMultiplier() {
+    return 2;
+  },
+
+  // Gold glow
+  playerVisuals: {
+    emissive: 0xaa8800, intensity: 0.8, rate: 0.006, swing: 0.3,
+    glow: 0xffcc00, glowOpacity: 0.2, glowRate: 0.005, glowSwing: 0.08, warnAt: 2,
+  },
+};
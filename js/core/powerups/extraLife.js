@@ -0,0 +1,36 @@
+import { REFRESH_RULES, HIT_OUTCOMES } from './api.js';
+import { GAME_EVENTS } from '../events.js';
+
+/**
+ * EXTRA LIFE — no timer; absorbs one hit that would end the run, after
+ * any other power-up had its chance. Collecting more stacks charges. In
+ * modes with lives it is simply one more life.
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const EXTRA_LIFE = {
+  id: 'EXTRA_LIFE',
+  label: '❤️ EXTRA LIFE',
+  hudIcon: '❤️',
+  color: 0xff3366,
+  emissive: 0x881133,
+  weight: 0.3,
+  duration: null,
+  refresh: REFRESH_RULES.STACK,
+
+  onCollect(sim, effect) {
+    if (sim.mode.lives > 1) {
+      sim.lives++;
+      sim.powerups.end(effect.type);
+      sim.events.emit(GAME_EVENTS.LIFE_GAINED, { lives: sim.lives });
+    }
+  },
+
+  onObstacleHit(sim, effect) {
+    effect.charges--;
+    if (effect.charges <= 0) sim.powerups.end(effect.type);
+    return HIT_OUTCOMES.SPARE;
+  },
+
+  // Soft pink glow; nothing to count down, so it never blinks
+  playerVisuals: { glow: 0xff3366, glowOpacity: 0.16, glowRate: 0.003, glowSwing: 0.05, warnAt: 0 },
+};
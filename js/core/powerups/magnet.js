@@ -0,0 +1,45 @@
+import { REFRESH_RULES } from './api.js';
+
+// Track units ahead of the player where pickups feel the pull, and how
+// fast they slide sideways
+const MAGNET_RANGE = 30;
+const MAGNET_PULL = 8;
+
+function pull(pool, target, dt) {
+  for (const pickup of pool) {
+    if (!pickup.active) continue;
+    const ahead = target.z - pickup.position.z;
+    if (ahead < 0 || ahead > MAGNET_RANGE) continue;
+    const dx = target.x - pickup.position.x;
+    const step = Math.min(Math.abs(dx), MAGNET_PULL * dt);
+    pickup.position.x += Math.sign(dx) * step;
+  }
+}
+
+/**
+ * MAGNET — power-ups and shards coming down the track drift towards the
+ * player
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const MAGNET = {
+  id: 'MAGNET',
+  label: '🧲 MAGNET',
+  hudIcon: '🧲',
+  color: 0xcc66ff,
+  emissive: 0x552288,
+  weight: 0.8,
+  duration: 8,
+  refresh: REFRESH_RULES.REFRESH,
+
+  onTick(sim, effect, dt) {
+    const target = sim.player.position;
+    pull(sim.powerups.pool, target, dt);
+    pull(sim.shards.pool, target, dt);
+  },
+
+  // Violet glow
+  playerVisuals: {
+    emissive: 0x7722aa, intensity: 0.7, rate: 0.005, swing: 0.2,
+    glow: 0xcc66ff, glowOpacity: 0.18, glowRate: 0.004, glowSwing: 0.06, warnAt: 1.5,
+  },
+};
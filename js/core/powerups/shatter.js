@@ -0,0 +1,27 @@
+import { REFRESH_RULES, HIT_OUTCOMES } from './api.js';
+
+/**
+ * SHATTER — obstacles touched break apart for bonus points, and blasts
+ * can't hurt
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const SHATTER = {
+  id: 'SHATTER',
+  label: '💥 SHATTER',
+  hudIcon: '💥',
+  color: 0xff3300,
+  emissive: 0x881100,
+  weight: 1,
+  duration: 6,
+  refresh: REFRESH_RULES.REFRESH,
+
+  onObstacleHit(sim, effect, hit) {
+    return hit.obstacle ? HIT_OUTCOMES.SHATTER : HIT_OUTCOMES.BLOCK;
+  },
+
+  // Red/orange aggressive glow
+  playerVisuals: {
+    emissive: 0xcc3300, intensity: 1.0, rate: 0.008, swing: 0.4,
+    glow: 0xff3300, glowOpacity: 0.25, glowRate: 0.007, glowSwing: 0.1, warnAt: 1.5,
+  },
+};
@@ -0,0 +1,23 @@
+import { REFRESH_RULES, HIT_OUTCOMES } from './api.js';
+
+/**
+ * SHIELD — invincibility: obstacles and blasts pass harmlessly
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const SHIELD = {
+  id: 'SHIELD',
+  label: '🛡️ SHIELD',
+  hudIcon: '🛡️',
+  color: 0x00ffff,
+  emissive: 0x006688,
+  weight: 1,
+  duration: 5,
+  refresh: REFRESH_RULES.REFRESH,
+
+  onObstacleHit() {
+    return HIT_OUTCOMES.BLOCK;
+  },
+
+  // Cyan shield bubble
+  playerVisuals: { shield: true, glow: 0x00ffff, glowOpacity: 0.2, glowRate: 0.006, glowSwing: 0.1, warnAt: 1.5 },
+};
@@ -0,0 +1,28 @@
+import { REFRESH_RULES } from './api.js';
+
+const SHRINK_SCALE = 0.6;
+
+/**
+ * SHRINK — a smaller cube with a smaller hitbox
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const SHRINK = {
+  id: 'SHRINK',
+  label: '🔹 SHRINK',
+  hudIcon: '🔹',
+  color: 0x33ff99,
+  emissive: 0x116633,
+  weight: 0.7,
+  duration: 6,
+  refresh: REFRESH_RULES.REFRESH,
+
+  onTick(sim) {
+    sim.player.hitScale = Math.min(sim.player.hitScale, SHRINK_SCALE);
+  },
+
+  // Mint glow on a smaller cube
+  playerVisuals: {
+    scale: SHRINK_SCALE,
+    glow: 0x33ff99, glowOpacity: 0.2, glowRate: 0.006, glowSwing: 0.08, warnAt: 1.5,
+  },
+};
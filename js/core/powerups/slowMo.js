@@ -0,0 +1,29 @@
+import { REFRESH_RULES } from './api.js';
+
+const SLOW_MO_SCALE = 0.5;
+
+/**
+ * SLOW-MO — the track and everything on it move and spawn at reduced
+ * speed; the player and the score keep full pace
+ * @type {import('./api.js').PowerUpDefinition}
+ */
+export const SLOW_MO = {
+  id: 'SLOW_MO',
+  label: '⏳ SLOW-MO',
+  hudIcon: '⏳',
+  color: 0x3399ff,
+  emissive: 0x113366,
+  weight: 0.7,
+  duration: 5,
+  refresh: REFRESH_RULES.REFRESH,
+
+  onTick(sim) {
+    sim.trackTimeScale = Math.min(sim.trackTimeScale, SLOW_MO_SCALE);
+  },
+
+  // Cool blue glow, slow breathing
+  playerVisuals: {
+    emissive: 0x224488, intensity: 0.7, rate: 0.002, swing: 0.2,
+    glow: 0x3399ff, glowOpacity: 0.2, glowRate: 0.002, glowSwing: 0.08, warnAt: 1.5,
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Seeded Random Source
+ * Deterministic PRNG (mulberry32) used in place of Math.random() so a run
+ * can be reproduced exactly from its seed.
+ */
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Fresh 32-bit seed for a run that wasn't given one
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Turn a seed parameter into a 32-bit seed.
+   * Numeric strings are used as-is; anything else ("daily-2026-10-18") is hashed.
+   */
+  static parseSeed(value) {
+    if (/^\d+$/.test(value)) return Number(value) >>> 0;
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this._state = this.seed;
+  }
+
+  /**
+   * Float in [0, 1) — drop-in for Math.random()
+   */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
@@ -0,0 +1,182 @@
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { GAME_MODES, DEFAULT_MODE } from './modes.js';
+import { BASIC_MOVES } from './player.js';
+
+/**
+ * Replay Recording & Playback
+ * Captures the per-tick input state of a run alongside its seed,
+ * difficulty preset, game mode and the moves that mode allowed, so the run
+ * can be fed back through Game._update frame-for-frame. A continue taken
+ * in Lives mode isn't stored: if the recording goes on past the point
+ * where one was offered, it was taken.
+ *
+ * Inputs are stored as a bitmask per fixed step, run-length encoded into a
+ * flat [mask, count, mask, count, ...] array to keep exported files small.
+ * Format 1 predates held jump, dash and slide; its jumps always went full
+ * height, so it loads as if jump were held throughout, with the original
+ * moveset whatever its mode allows today.
+ */
+
+export const REPLAY_FORMAT = 2;
+
+// `jump` is the press edge; the rest are held actions
+const INPUT_BITS = {
+  moveLeft: 1,
+  moveRight: 2,
+  jump: 4,
+  jumpHeld: 8,
+  moveForward: 16,
+  moveBackward: 32,
+};
+
+const HELD_ACTIONS = ['moveLeft', 'moveRight', 'jumpHeld', 'moveForward', 'moveBackward'];
+
+function encodeMask(actions, jumped) {
+  let mask = 0;
+  for (const action of HELD_ACTIONS) {
+    if (actions[action]) mask |= INPUT_BITS[action];
+  }
+  if (jumped) mask |= INPUT_BITS.jump;
+  return mask;
+}
+
+export class ReplayRecorder {
+  constructor() {
+    this.reset(0, '');
+  }
+
+  reset(seed, version, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE, moves = GAME_MODES[mode].moves) {
+    this.seed = seed;
+    this.version = version;
+    this.difficulty = difficulty;
+    this.mode = mode;
+    this.moves = moves;
+    this.ticks = 0;
+    this.inputs = [];
+  }
+
+  /**
+   * Log the input used for one fixed step
+   */
+  record(actions, jumped) {
+    const mask = encodeMask(actions, jumped);
+    const last = this.inputs.length - 2;
+    if (last >= 0 && this.inputs[last] === mask) {
+      this.inputs[last + 1]++;
+    } else {
+      this.inputs.push(mask, 1);
+    }
+    this.ticks++;
+  }
+
+  /**
+   * Snapshot the recording as a replay object
+   */
+  finish(score) {
+    return {
+      format: REPLAY_FORMAT,
+      version: this.version,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      moves: { ...this.moves },
+      ticks: this.ticks,
+      score,
+      inputs: this.inputs.slice(),
+    };
+  }
+}
+
+/**
+ * Plays a replay back through the same surface as InputManager
+ * (`actions` + `consumeJump()`), one tick per advance().
+ */
+export class ReplayInput {
+  constructor(replay) {
+    this.replay = replay;
+    this.actions = {
+      moveLeft: false,
+      moveRight: false,
+      moveForward: false,
+      moveBackward: false,
+      jump: false,
+      jumpHeld: false,
+    };
+    this._runIndex = 0;
+    this._runLeft = replay.inputs[1] || 0;
+    this.tick = 0;
+  }
+
+  get finished() {
+    return this.tick >= this.replay.ticks;
+  }
+
+  /**
+   * Load the input for the next tick
+   */
+  advance() {
+    while (this._runLeft === 0 && this._runIndex + 2 < this.replay.inputs.length) {
+      this._runIndex += 2;
+      this._runLeft = this.replay.inputs[this._runIndex + 1];
+    }
+    const mask = this.replay.inputs[this._runIndex] || 0;
+    this._runLeft--;
+    this.tick++;
+
+    for (const action of HELD_ACTIONS) {
+      this.actions[action] = (mask & INPUT_BITS[action]) !== 0;
+    }
+    this.actions.jump = (mask & INPUT_BITS.jump) !== 0;
+  }
+
+  consumeJump() {
+    if (this.actions.jump) {
+      this.actions.jump = false;
+      return true;
+    }
+    return false;
+  }
+}
+
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay file. Throws on malformed input.
+ */
+export function parseReplay(text) {
+  const replay = JSON.parse(text);
+  if (!replay || (replay.format !== REPLAY_FORMAT && replay.format !== 1)) {
+    throw new Error('Unsupported replay format');
+  }
+  if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.ticks)) {
+    throw new Error('Replay is missing its seed or tick count');
+  }
+  if (!Array.isArray(replay.inputs) || replay.inputs.length % 2 !== 0) {
+    throw new Error('Replay input stream is corrupt');
+  }
+  // Replays from before difficulty presets were all played on Normal
+  replay.difficulty ??= DEFAULT_DIFFICULTY;
+  if (!Object.hasOwn(DIFFICULTY_PRESETS, replay.difficulty)) {
+    throw new Error(`Replay uses unknown difficulty "${replay.difficulty}"`);
+  }
+  // ...and before game modes, in Classic
+  replay.mode ??= DEFAULT_MODE;
+  if (!Object.hasOwn(GAME_MODES, replay.mode)) {
+    throw new Error(`Replay uses unknown mode "${replay.mode}"`);
+  }
+  if (replay.format === 1) {
+    replay.inputs = replay.inputs.map((value, i) => (i % 2 === 0 ? value | INPUT_BITS.jumpHeld : value));
+    replay.moves = { ...BASIC_MOVES };
+    replay.format = REPLAY_FORMAT;
+  }
+  // Format 2 replays from before moves were recorded had their mode's own
+  replay.moves ??= { ...GAME_MODES[replay.mode].moves };
+  for (const move of Object.keys(BASIC_MOVES)) {
+    if (typeof replay.moves[move] !== 'boolean') {
+      throw new Error(`Replay moveset is missing "${move}"`);
+    }
+  }
+  return replay;
+}
@@ -0,0 +1,215 @@
+import { Vec3, AABB } from './math.js';
+import { sphereIntersectsOBB } from './collision.js';
+import { ObjectPool } from './pool.js';
+
+/**
+ * Shard Simulation
+ * Small collectible shards, the currency the shop spends, come down the
+ * track in formations placed in the gaps between freshly spawned
+ * obstacles: straight lines along a lane, arcs that bow across the track
+ * and arcs that rise over a jump. Rendering lives in ShardView.
+ */
+
+export const SHARD_COLOR = 0xfff08a;
+export const SHARD_RADIUS = 0.3;
+// Reach past the shard's own size, so brushing one is enough
+const SHARD_REACH = 0.25;
+const SHARD_HALF_SIZE = SHARD_RADIUS + SHARD_REACH;
+
+// Seconds between formation spawn attempts, and the chance one appears
+const FORMATION_INTERVAL = 2.5;
+const FORMATION_CHANCE = 0.7;
+// Track units between shards of a formation
+const SHARD_SPACING = 2.5;
+// Centre height of shards on the ground
+const GROUND_Y = 0.9;
+// Room kept between shards and obstacles near the spawn line, and how many
+// lanes are tried before the formation is skipped
+const OBSTACLE_MARGIN = 1;
+const PLACEMENT_TRIES = 4;
+
+/**
+ * Formation shapes, laid out along a lane and curving in an arc:
+ *   count  shards in the formation
+ *   bow    track units the middle curves sideways, towards the centre
+ *   rise   track units the middle curves up, over a jump
+ */
+export const SHARD_FORMATIONS = {
+  line: { count: 6, bow: 0, rise: 0 },
+  sweep: { count: 7, bow: 2.5, rise: 0 },
+  hop: { count: 7, bow: 0, rise: 2 },
+};
+
+const FORMATION_IDS = Object.keys(SHARD_FORMATIONS);
+
+/**
+ * Where the i-th shard of a formation sits, from lane x
+ */
+function shardOffset(formation, i, out) {
+  const arc = Math.sin((i / (formation.count - 1)) * Math.PI);
+  out.x = formation.bow * arc;
+  out.y = GROUND_Y + formation.rise * arc;
+  return out;
+}
+
+class Shard {
+  constructor() {
+    this.position = new Vec3();
+    this.active = false;
+    this.speed = 0;
+    this.boundingBox = new AABB();
+    this._halfExtents = new Vec3(SHARD_HALF_SIZE, SHARD_HALF_SIZE, SHARD_HALF_SIZE);
+  }
+
+  activate(x, y, z, speed) {
+    this.position.set(x, y, z);
+    this.speed = speed;
+    this.active = true;
+  }
+
+  deactivate() {
+    this.active = false;
+  }
+
+  update(dt) {
+    if (!this.active) return;
+    this.position.z += this.speed * dt;
+    this.boundingBox.setFromCenterAndHalfExtents(this.position, this._halfExtents);
+  }
+}
+
+export class ShardManager {
+  constructor(rng, director, poolSize = 40, maxPoolSize = 160) {
+    this.rng = rng;
+    this.director = director;
+    this._slots = new ObjectPool(poolSize, () => new Shard(), maxPoolSize);
+    this.pool = this._slots.items;
+    this.spawnTimer = 0;
+    this.randomSpawns = true;  // off while play-testing a pattern
+    this.spawnZ = -80;
+    this.despawnZ = 10;
+    this.trackWidth = 10;
+
+    // Positions of shards collected by the last collect() (reused)
+    this._collected = [];
+    this._offset = { x: 0, y: 0 };
+  }
+
+  /**
+   * Deactivate a shard and hand its slot back to the pool
+   */
+  _release(shard) {
+    if (!shard.active) return;
+    shard.deactivate();
+    this._slots.release(shard);
+  }
+
+  /**
+   * Whether any shard of the formation, laid out from lane x bowing in
+   * direction `bend`, would sit in or right next to an obstacle still near
+   * the spawn line
+   */
+  _blocked(formation, x, bend, obstacles) {
+    const offset = this._offset;
+    for (const obstacle of obstacles.pool) {
+      if (!obstacle.active) continue;
+      const { position, size } = obstacle;
+      const reachX = size.x + SHARD_HALF_SIZE + OBSTACLE_MARGIN;
+      const reachZ = size.z + SHARD_HALF_SIZE + OBSTACLE_MARGIN;
+      for (let i = 0; i < formation.count; i++) {
+        const z = this.spawnZ - i * SHARD_SPACING;
+        if (Math.abs(position.z - z) > reachZ) continue;
+        shardOffset(formation, i, offset);
+        if (Math.abs(position.x - (x + bend * offset.x)) <= reachX) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lay out a random formation behind the spawn line, in a lane clear of
+   * the obstacles around it. Nothing spawns if no lane fits.
+   */
+  _spawnFormation(obstacles) {
+    const formation = SHARD_FORMATIONS[this.rng.pick(FORMATION_IDS)];
+    if (this._slots.available < formation.count) {
+      this._slots.reportExhausted(formation.count);
+      return;
+    }
+
+    const halfTrack = this.trackWidth / 2 - 1;
+    for (let attempt = 0; attempt < PLACEMENT_TRIES; attempt++) {
+      const x = (this.rng.next() * 2 - 1) * halfTrack;
+      const bend = x > 0 ? -1 : 1;
+      if (this._blocked(formation, x, bend, obstacles)) continue;
+
+      const speed = this.director.speed;
+      const offset = this._offset;
+      for (let i = 0; i < formation.count; i++) {
+        shardOffset(formation, i, offset);
+        this._slots.acquire().activate(x + bend * offset.x, offset.y, this.spawnZ - i * SHARD_SPACING, speed);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Spawn formations and move shards; `obstacles` is the ObstacleManager
+   * whose fresh spawns formations are kept clear of
+   */
+  update(dt, obstacles) {
+    this.spawnTimer += dt;
+    if (this.randomSpawns && this.spawnTimer >= FORMATION_INTERVAL) {
+      this.spawnTimer = 0;
+      if (this.rng.chance(FORMATION_CHANCE)) this._spawnFormation(obstacles);
+    }
+
+    this._slots.update(dt);
+    for (const shard of this.pool) {
+      if (!shard.active) continue;
+      shard.update(dt);
+      if (shard.position.z > this.despawnZ) {
+        this._release(shard);
+      }
+    }
+  }
+
+  /**
+   * Collect every shard touching the player (anything with a
+   * `boundingBox` and an `obb`). Returns their positions; the list is
+   * reused.
+   */
+  collect(player) {
+    const collected = this._collected;
+    collected.length = 0;
+    for (const shard of this.pool) {
+      if (!shard.active) continue;
+      if (!player.boundingBox.intersectsBox(shard.boundingBox)) continue;
+      if (sphereIntersectsOBB(shard.position, SHARD_RADIUS, player.obb, -SHARD_REACH)) {
+        collected.push(shard.position.clone());
+        this._release(shard);
+      }
+    }
+    return collected;
+  }
+
+  /**
+   * Spawns dropped because the pool was at its cap, since the last call
+   */
+  takeExhausted() {
+    return this._slots.takeExhausted();
+  }
+
+  get poolCapacity() {
+    return this._slots.maxSize;
+  }
+
+  reset() {
+    for (const shard of this.pool) {
+      shard.deactivate();
+    }
+    this._slots.reset();
+    this.spawnTimer = 0;
+    this.randomSpawns = true;
+  }
+}
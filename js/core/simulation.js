@@ -0,0 +1,402 @@
+import { SeededRandom } from './random.js';
+import { GameClock } from './clock.js';
+import { PlayerBody, PLAYER_MAX_HALF_EXTENT } from './player.js';
+import { ObstacleManager, EXPLOSIVE_COLOR } from './obstacles.js';
+import { PowerUpManager } from './powerups.js';
+import { ShardManager } from './shards.js';
+import { HIT_OUTCOMES } from './powerupTypes.js';
+import { ComboTracker, NEAR_MISS_MARGIN } from './combo.js';
+import { DifficultyDirector, DEFAULT_DIFFICULTY, peakPresetValue } from './difficulty.js';
+import { PatternLibrary } from './patterns.js';
+import { EventBus, GAME_EVENTS } from './events.js';
+import { DEFAULT_FORGIVENESS } from './collision.js';
+import { GAME_MODES, DEFAULT_MODE } from './modes.js';
+
+/**
+ * Simulation Core
+ * Renderer-agnostic game rules: player physics, obstacle, power-up and
+ * shard spawning, collision and scoring. No DOM or WebGL access, so it can
+ * be stepped from Node for balance runs and replay verification; the
+ * browser Game is a view layer that feeds it input and draws its state.
+ */
+
+export const GAME_VERSION = '1.14.6';
+export const FIXED_STEP = 1 / 60;
+
+// Shards draw from their own stream, seeded from the run's, so their
+// formations don't shift the obstacle and power-up spawn sequence
+const SHARD_SEED_SALT = 0x5a4d;
+
+export class Simulation {
+  constructor(seed = 0, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE) {
+    this.rng = new SeededRandom();
+    this.clock = new GameClock();
+    this.director = new DifficultyDirector(difficulty);
+    this.player = new PlayerBody(this.clock);
+    this.obstacles = new ObstacleManager(this.rng, this.director);
+    this.powerups = new PowerUpManager(this.rng, this.clock, this.director);
+    this.shardRng = new SeededRandom();
+    this.shards = new ShardManager(this.shardRng, this.director);
+    this.combo = new ComboTracker();
+    this.events = new EventBus();
+    // Pools whose dropped spawns are reported, by name
+    this._pools = [['obstacles', this.obstacles], ['powerups', this.powerups], ['shards', this.shards]];
+    // Overlap obstacles may have with the player before it counts as a hit
+    this.forgiveness = DEFAULT_FORGIVENESS;
+    this.setMode(mode);
+    this.reset(seed);
+  }
+
+  /**
+   * What the player can dodge or jump, for validating patterns
+   * @returns {import('./patterns.js').PatternLimits}
+   */
+  patternLimits() {
+    const player = this.player;
+    return {
+      spawnHalfWidth: this.obstacles.trackWidth / 2 - 1,
+      playerHalfTrack: player.trackWidth / 2 - 0.5,
+      playerReach: PLAYER_MAX_HALF_EXTENT,
+      playerTop: player.groundY + PLAYER_MAX_HALF_EXTENT,
+      jumpClearance: player.jumpApex - PLAYER_MAX_HALF_EXTENT,
+      moveSpeed: player.moveSpeed,
+      maxSpeed: peakPresetValue('speed'),
+      spawnDistance: player.position.z - this.obstacles.spawnZ,
+    };
+  }
+
+  /**
+   * Validate and install authored obstacle patterns (data/patterns.json).
+   * Returns the library; rejected patterns are listed in its `errors`.
+   */
+  setPatterns(data) {
+    const library = new PatternLibrary(data, this.patternLimits());
+    this.obstacles.patterns = library;
+    return library;
+  }
+
+  /**
+   * Switch game mode (GAME_MODES), with the moves it allows; takes effect
+   * from the next reset
+   */
+  setMode(id) {
+    if (!Object.hasOwn(GAME_MODES, id)) {
+      throw new Error(`Unknown game mode "${id}"`);
+    }
+    this.modeId = id;
+    this.mode = GAME_MODES[id];
+    this.moves = this.mode.moves;
+  }
+
+  /**
+   * Reset and announce a new run, optionally switching difficulty preset
+   * and game mode. Replays pass the `moves` they were recorded with, which
+   * may be fewer than the mode allows now.
+   */
+  start(seed, difficulty = this.director.presetId, mode = this.modeId, moves = null) {
+    this.director.setPreset(difficulty);
+    this.setMode(mode);
+    if (moves) this.moves = moves;
+    this.reset(seed);
+    this.events.emit(GAME_EVENTS.RUN_STARTED, { seed: this.seed, difficulty, mode });
+  }
+
+  /**
+   * Put every subsystem back to its initial state for the given seed
+   */
+  reset(seed) {
+    this.seed = seed >>> 0;
+    this.rng.setSeed(this.seed);
+    this.shardRng.setSeed(this.seed ^ SHARD_SEED_SALT);
+    this.clock.reset();
+    this.player.moves = this.moves;
+    this.player.reset();
+    this._dashHeld = false;
+    this.obstacles.reset();
+    this.powerups.reset();
+    this.shards.reset();
+    this.combo.reset();
+    this.director.reset();
+
+    this.score = 0;
+    this.scoreFraction = 0;  // multiplied points not yet paid out
+    this.scoreTimer = 0;
+    this.lastMilestone = 0;
+    this.peakDifficulty = 0;  // highest director level reached, 0..1
+    this.distance = 0;  // track units travelled
+    this.shardsCollected = 0;
+    this.ticks = 0;
+    this.stepDt = 0;  // scaled game time covered by the last step
+    // Everything scrolling down the track runs this much slower or faster
+    // than the game (SLOW-MO)
+    this.trackTimeScale = 1;
+    this.over = false;
+
+    this.lives = this.mode.lives;
+    this.continuesLeft = this.mode.continues;
+    this.invulnerable = 0;  // seconds left of respawn invulnerability
+    // Last life lost with a continue to offer: the run is frozen until
+    // revive() or declineContinue()
+    this.awaitingContinue = false;
+    this._continueCause = null;
+  }
+
+  /**
+   * Advance one fixed step. `actions` is the held input state and
+   * `jumpPressed` whether a jump edge occurred this tick. Everything that
+   * happens is published on `events`.
+   *
+   * Held `moveForward` dashes towards the held side as it goes down, and
+   * held `moveBackward` slides; `jumpHeld` keeps a jump rising.
+   */
+  step(realDt, actions, jumpPressed) {
+    if (this.over || this.awaitingContinue) return;
+    const events = this.events;
+
+    const dt = this.clock.tick(realDt);
+    this.stepDt = dt;
+    this.ticks++;
+    this.invulnerable = Math.max(0, this.invulnerable - dt);
+
+    // Handle jump, dash and slide
+    const player = this.player;
+    const grounded = player.isGrounded;
+    if (jumpPressed && player.jump()) {
+      events.emit(GAME_EVENTS.PLAYER_JUMPED, { position: player.position, double: !grounded });
+    }
+    const dashPressed = actions.moveForward && !this._dashHeld;
+    this._dashHeld = actions.moveForward;
+    const direction = (actions.moveRight ? 1 : 0) - (actions.moveLeft ? 1 : 0);
+    if (dashPressed && player.dash(direction)) {
+      events.emit(GAME_EVENTS.PLAYER_DASHED, { position: player.position, direction });
+    }
+    if (player.slide(actions.moveBackward)) {
+      events.emit(GAME_EVENTS.PLAYER_SLID, { position: player.position });
+    }
+
+    // Difficulty & speed
+    const director = this.director;
+    director.update(this.score, this.clock.time);
+    this.peakDifficulty = Math.max(this.peakDifficulty, director.level);
+
+    // Power-up effects; the modifiers they set are rebuilt every step
+    this.player.hitScale = 1;
+    this.trackTimeScale = 1;
+    this.powerups.tickEffects(this, dt);
+    this._emitExpiredPowerUps();
+
+    // Update subsystems; obstacles, pickups and shards share track time
+    const trackDt = dt * this.trackTimeScale;
+    this.distance += director.speed * trackDt;
+    this.player.update(dt, actions);
+    this.obstacles.update(trackDt, this.player.position);
+    for (const { x, z, speed, type } of this.obstacles.pendingPowerUps) {
+      this.powerups.spawnAt(x, z, speed, type);
+    }
+    this.powerups.update(trackDt);
+    this.shards.update(trackDt, this.obstacles);
+
+    // --- Dodges, near-misses and jump-overs ---
+    let comboChanged = this.combo.update(dt);
+    // Obstacles a respawning player went straight through earn nothing
+    const phasing = this.invulnerable > 0;
+    for (const obstacle of this.obstacles.collectPassed(this.player.boundingBox, phasing)) {
+      if (obstacle.phased) continue;
+      const { position, type, isExplosive } = obstacle;
+      events.emit(GAME_EVENTS.OBSTACLE_DODGED, { position, type, isExplosive });
+      if (obstacle.clearedAbove) {
+        this.combo.add(2);
+        comboChanged = true;
+        events.emit(GAME_EVENTS.JUMP_OVER, { position, combo: this.combo.combo });
+      } else if (obstacle.closestGap <= NEAR_MISS_MARGIN) {
+        this.combo.add(1);
+        comboChanged = true;
+        events.emit(GAME_EVENTS.NEAR_MISS, {
+          position,
+          gap: obstacle.closestGap,
+          combo: this.combo.combo,
+        });
+      }
+    }
+    if (comboChanged) {
+      events.emit(GAME_EVENTS.COMBO_CHANGED, {
+        combo: this.combo.combo,
+        multiplier: this.combo.multiplier,
+      });
+    }
+
+    // --- Score increment ---
+    // Power-ups and the combo multiply together; fractions carry over
+    this.scoreTimer += dt;
+    if (this.scoreTimer >= 0.1) {
+      this.scoreTimer = 0;
+      const base = this.powerups.scoreMultiplier();
+      this.scoreFraction += base * this.combo.multiplier;
+      const points = Math.floor(this.scoreFraction);
+      this.scoreFraction -= points;
+      this.score += points;
+      events.emit(GAME_EVENTS.SCORE_TICK, { score: this.score, points });
+
+      const milestone = Math.floor(this.score / 50);
+      if (milestone > this.lastMilestone) {
+        this.lastMilestone = milestone;
+        events.emit(GAME_EVENTS.MILESTONE, { score: this.score, milestone });
+      }
+    }
+
+    // --- Power-up collision ---
+    const pickup = this.powerups.checkCollision(this);
+    if (pickup) {
+      events.emit(GAME_EVENTS.POWERUP_COLLECTED, pickup);
+    }
+    for (const position of this.shards.collect(this.player)) {
+      this.shardsCollected++;
+      events.emit(GAME_EVENTS.SHARD_COLLECTED, { position, shards: this.shardsCollected });
+    }
+
+    // --- Obstacle collision ---
+    // Respawning players pass straight through
+    const hit = this.invulnerable > 0 ? null : this.obstacles.checkCollision(this.player, this.forgiveness);
+    if (hit) {
+      const { position, color, type, isExplosive } = hit;
+      const effect = hit.obstacle.def.effect;
+      const outcome = this.powerups.resolveHit(this, hit);
+      if (outcome === HIT_OUTCOMES.SHATTER) {
+        // Destroy the obstacle; splitting types break into pieces and
+        // explosives go off
+        const bonus = 5; // bonus points for shattering
+        if (hit.obstacle.def.blast) {
+          this.obstacles.detonate(hit.obstacle, 'shatter');
+        } else {
+          this.obstacles.shatterObstacle(hit.obstacle);
+        }
+        this.score += bonus;
+        events.emit(GAME_EVENTS.OBSTACLE_SHATTERED, { position, color, type, effect, isExplosive, bonus });
+        events.emit(GAME_EVENTS.SCORE_TICK, { score: this.score, points: bonus });
+      } else if (outcome) {
+        // Pass through, destroy obstacle silently
+        this.obstacles.destroyObstacle(hit.obstacle);
+        const spared = outcome === HIT_OUTCOMES.SPARE;
+        events.emit(GAME_EVENTS.PLAYER_HIT, { position, color, type, effect, isExplosive, blocked: true, spared });
+      } else {
+        // Any unprotected hit costs a life; the obstacle type is the cause
+        events.emit(GAME_EVENTS.PLAYER_HIT, { position, color, type, effect, isExplosive, blocked: false, spared: false });
+        this._loseLife(type);
+      }
+    }
+
+    this._resolveExplosions();
+    this._emitExpiredPowerUps();
+    this._reportExhaustedPools();
+  }
+
+  /**
+   * How fast the track scrolls past the player right now, for views
+   */
+  get trackSpeed() {
+    return this.director.speed * this.trackTimeScale;
+  }
+
+  /**
+   * An unprotected hit. With lives to spare the player respawns on the
+   * spot; on the last life a continue is offered if one is left, and
+   * otherwise the run ends. `cause` is the obstacle type id.
+   */
+  _loseLife(cause) {
+    if (this.lives > 1) {
+      this.lives--;
+      const cleared = this._respawn();
+      this.events.emit(GAME_EVENTS.LIFE_LOST, { lives: this.lives, cause, cleared });
+    } else if (this.continuesLeft > 0) {
+      this.awaitingContinue = true;
+      this._continueCause = cause;
+      this.events.emit(GAME_EVENTS.CONTINUE_OFFERED, { score: this.score, cause });
+    } else {
+      this._endRun(cause);
+    }
+  }
+
+  /**
+   * Brief invulnerability, and room around the player
+   */
+  _respawn() {
+    this.invulnerable = this.mode.invulnerability;
+    return this.obstacles.clearAround(this.player.position, this.mode.clearRadius);
+  }
+
+  _endRun(cause) {
+    this.over = true;
+    this.events.emit(GAME_EVENTS.GAME_OVER, {
+      score: this.score,
+      ticks: this.ticks,
+      cause,
+    });
+  }
+
+  /**
+   * Take the continue offered on the last life: back in with one life
+   */
+  revive() {
+    if (!this.awaitingContinue) return;
+    this.awaitingContinue = false;
+    this.continuesLeft--;
+    this.lives = 1;
+    const cleared = this._respawn();
+    this.events.emit(GAME_EVENTS.PLAYER_REVIVED, { lives: this.lives, cleared });
+  }
+
+  /**
+   * Let the continue lapse, ending the run
+   */
+  declineContinue() {
+    if (!this.awaitingContinue) return;
+    this.awaitingContinue = false;
+    this._endRun(this._continueCause);
+  }
+
+  /**
+   * Announce power-ups that ran out or were used up
+   */
+  _emitExpiredPowerUps() {
+    for (const type of this.powerups.takeExpired()) {
+      this.events.emit(GAME_EVENTS.POWERUP_EXPIRED, { type });
+    }
+  }
+
+  /**
+   * Announce spawns the obstacle, power-up and shard pools had to drop
+   * this step
+   */
+  _reportExhaustedPools() {
+    for (const [pool, manager] of this._pools) {
+      const dropped = manager.takeExhausted();
+      if (dropped > 0) {
+        this.events.emit(GAME_EVENTS.POOL_EXHAUSTED, { pool, dropped, capacity: manager.poolCapacity });
+      }
+    }
+  }
+
+  /**
+   * Announce the blasts set off this step and catch the player in them.
+   * Running power-ups get to block a blast as they would an obstacle.
+   */
+  _resolveExplosions() {
+    const events = this.events;
+    for (const blast of this.obstacles.explosions) {
+      const { position, radius } = blast;
+      const distance = this.player.obb.distanceToPoint(position);
+      events.emit(GAME_EVENTS.EXPLOSION, { ...blast, distance });
+      if (this.over || this.awaitingContinue || this.invulnerable > 0 || distance > radius) continue;
+
+      const hit = { position, color: EXPLOSIVE_COLOR, type: 'explosive', effect: 'explosion', isExplosive: true };
+      const outcome = this.powerups.resolveHit(this, { ...hit, obstacle: null });
+      if (outcome) {
+        events.emit(GAME_EVENTS.PLAYER_HIT, { ...hit, blocked: true, spared: outcome === HIT_OUTCOMES.SPARE });
+      } else {
+        events.emit(GAME_EVENTS.PLAYER_HIT, { ...hit, blocked: false, spared: false });
+        this._loseLife('explosive');
+      }
+    }
+    this.obstacles.explosions.length = 0;
+  }
+}
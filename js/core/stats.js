@@ -0,0 +1,104 @@
+import { GAME_EVENTS } from './events.js';
+
+/**
+ * Run Statistics
+ * Tallies a single run from simulation events; snapshot with summary()
+ * once the run ends.
+ */
+export class RunStats {
+  constructor(sim) {
+    this.sim = sim;
+    this.reset();
+
+    const events = sim.events;
+    events.on(GAME_EVENTS.RUN_STARTED, (e) => {
+      this.reset();
+      this.difficulty = e.difficulty;
+      this.mode = e.mode;
+    });
+    events.on(GAME_EVENTS.PLAYER_JUMPED, () => this.jumps++);
+    events.on(GAME_EVENTS.OBSTACLE_DODGED, () => this.dodged++);
+    events.on(GAME_EVENTS.OBSTACLE_SHATTERED, () => this.shattered++);
+    events.on(GAME_EVENTS.NEAR_MISS, () => this.nearMisses++);
+    events.on(GAME_EVENTS.JUMP_OVER, () => this.jumpOvers++);
+    events.on(GAME_EVENTS.COMBO_CHANGED, (e) => {
+      this.bestCombo = Math.max(this.bestCombo, e.combo);
+    });
+    events.on(GAME_EVENTS.PLAYER_HIT, (e) => {
+      if (e.spared) this.extraLivesUsed++;
+      else if (e.blocked) this.shieldBlocks++;
+    });
+    events.on(GAME_EVENTS.LIFE_LOST, () => this.livesLost++);
+    events.on(GAME_EVENTS.PLAYER_REVIVED, () => {
+      // The last life, given back by the continue
+      this.livesLost++;
+      this.continued = true;
+    });
+    events.on(GAME_EVENTS.POWERUP_COLLECTED, (e) => {
+      this.powerups[e.type] = (this.powerups[e.type] || 0) + 1;
+    });
+    events.on(GAME_EVENTS.SHARD_COLLECTED, () => this.shards++);
+    events.on(GAME_EVENTS.POOL_EXHAUSTED, (e) => {
+      this.spawnsCut += e.dropped;
+    });
+    events.on(GAME_EVENTS.GAME_OVER, (e) => {
+      this.cause = e.cause;
+      this.score = e.score;
+      this.time = sim.clock.time;
+      this.distance = sim.distance;
+      this.peakDifficulty = sim.peakDifficulty;
+    });
+  }
+
+  reset() {
+    this.score = 0;
+    this.time = 0;
+    this.distance = 0;
+    this.jumps = 0;
+    this.dodged = 0;
+    this.shattered = 0;
+    this.shieldBlocks = 0;
+    this.extraLivesUsed = 0;
+    this.livesLost = 0;
+    this.continued = false;
+    this.nearMisses = 0;
+    this.jumpOvers = 0;
+    this.bestCombo = 0;
+    this.powerups = {};
+    this.shards = 0;
+    // Spawns dropped because a pool was full at its cap
+    this.spawnsCut = 0;
+    this.peakDifficulty = 0;
+    this.cause = null;
+    this.difficulty = null;
+    this.mode = null;
+  }
+
+  /**
+   * Plain snapshot of the run, safe to store
+   */
+  summary() {
+    return {
+      score: this.score,
+      time: this.time,
+      distance: this.distance,
+      jumps: this.jumps,
+      dodged: this.dodged,
+      shattered: this.shattered,
+      shieldBlocks: this.shieldBlocks,
+      extraLivesUsed: this.extraLivesUsed,
+      livesLost: this.livesLost,
+      continued: this.continued,
+      nearMisses: this.nearMisses,
+      jumpOvers: this.jumpOvers,
+      bestCombo: this.bestCombo,
+      powerups: { ...this.powerups },
+      shards: this.shards,
+      spawnsCut: this.spawnsCut,
+      peakDifficulty: this.peakDifficulty,
+      cause: this.cause,
+      difficulty: this.difficulty,
+      mode: this.mode,
+    };
+  }
+}
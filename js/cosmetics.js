@@ -0,0 +1,148 @@
+import { SKINS } from './skinTypes.js';
+
+export { SKINS };
+
+/**
+ * Cosmetics Catalogue
+ * Everything the shop sells for shards, by kind. Items priced 0 are owned
+ * from the start and the first of each kind is the default look. Nothing
+ * here changes gameplay.
+ *
+ * Skins reshape and colour the player cube; each is defined in its own
+ * file (skins/api.js, listed in skinTypes.js).
+ *
+ * Trails leave particles behind the cube while running:
+ *   color     particle colour; null follows the skin, 'rainbow' cycles hues
+ *   rate      particles per second
+ *   size, life, rise, spread  particle size, seconds, upward drift and
+ *             sideways scatter
+ *
+ * Themes recolour the track and sky (Environment.setTheme):
+ *   background, fog, ground, grid, centerLine, walls [left, right],
+ *   lights [left, right], stars
+ */
+
+export const TRAILS = [
+  {
+    id: 'none',
+    label: 'None',
+    price: 0,
+    color: null,
+    rate: 0,
+  },
+  {
+    id: 'comet',
+    label: 'Comet',
+    price: 120,
+    color: null,
+    rate: 40,
+    size: 0.12,
+    life: 0.35,
+    rise: 0,
+    spread: 0.2,
+  },
+  {
+    id: 'embers',
+    label: 'Embers',
+    price: 220,
+    color: 0xff6622,
+    rate: 30,
+    size: 0.1,
+    life: 0.6,
+    rise: 2,
+    spread: 0.4,
+  },
+  {
+    id: 'stardust',
+    label: 'Stardust',
+    price: 350,
+    color: 0xffffff,
+    rate: 50,
+    size: 0.06,
+    life: 0.5,
+    rise: 0.5,
+    spread: 0.6,
+  },
+  {
+    id: 'rainbow',
+    label: 'Rainbow',
+    price: 700,
+    color: 'rainbow',
+    rate: 60,
+    size: 0.14,
+    life: 0.4,
+    rise: 0,
+    spread: 0.15,
+  },
+];
+
+export const THEMES = [
+  {
+    id: 'neon',
+    label: 'Neon Night',
+    price: 0,
+    background: 0x0a0a1a,
+    fog: 0x0a0a1a,
+    ground: '#0d0d1a',
+    grid: '#1a3a5c',
+    centerLine: '#00ccff33',
+    walls: [0x00ffff, 0xff0066],
+    lights: [0x00ffff, 0xff0066],
+    stars: 0xffffff,
+  },
+  {
+    id: 'sunset',
+    label: 'Sunset Drive',
+    price: 300,
+    background: 0x1a0a1e,
+    fog: 0x2a0f24,
+    ground: '#1a0c1a',
+    grid: '#5c1a4a',
+    centerLine: '#ff993355',
+    walls: [0xff9933, 0xff3399],
+    lights: [0xff9933, 0xff3399],
+    stars: 0xffcc99,
+  },
+  {
+    id: 'matrix',
+    label: 'Mainframe',
+    price: 450,
+    background: 0x000a04,
+    fog: 0x001a08,
+    ground: '#000d05',
+    grid: '#0a4a1e',
+    centerLine: '#33ff6655',
+    walls: [0x33ff66, 0x00cc44],
+    lights: [0x33ff66, 0x00cc44],
+    stars: 0x99ffbb,
+  },
+  {
+    id: 'arctic',
+    label: 'Arctic',
+    price: 600,
+    background: 0x0a1420,
+    fog: 0x16283a,
+    ground: '#122030',
+    grid: '#4a7a9c',
+    centerLine: '#ffffff44',
+    walls: [0xaaeeff, 0xffffff],
+    lights: [0x88ddff, 0xccf4ff],
+    stars: 0xe0f4ff,
+  },
+];
+
+/**
+ * The shop's tabs, in order
+ */
+export const COSMETIC_KINDS = {
+  skins: { label: 'Skins', items: SKINS },
+  trails: { label: 'Trails', items: TRAILS },
+  themes: { label: 'Themes', items: THEMES },
+};
+
+/**
+ * Item of a kind by id, or undefined
+ */
+export function findCosmetic(kind, id) {
+  return COSMETIC_KINDS[kind].items.find(item => item.id === id);
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { obbIntersectsOBB } from './core/collision.js';
+import { PICKUP_RADIUS } from './core/powerups.js';
+import { GAME_EVENTS } from './core/events.js';
+
+/**
+ * Debug Overlay
+ * Draws the collision volumes the simulation actually tests — the player's
+ * and each obstacle's oriented box and every power-up's pickup sphere —
+ * on top of the scene, plus a short text readout of collision settings
+ * and pool use, including spawns and effects cut because a pool was full.
+ * Toggled with the backquote key.
+ */
+
+const PLAYER_COLOR = 0x00ffff;
+const CLEAR_COLOR = 0x00ff66;
+// Axis-aligned boxes overlap but the oriented ones don't: a graze the old
+// box collision would have counted as a hit
+const GRAZE_COLOR = 0xffcc00;
+const HIT_COLOR = 0xff2222;
+const PICKUP_COLOR = 0xff66ff;
+
+// Unit shapes, scaled per volume: a box with half-extents 1 and a sphere
+const BOX_EDGES = new THREE.EdgesGeometry(new THREE.BoxGeometry(2, 2, 2));
+const SPHERE_EDGES = new THREE.WireframeGeometry(new THREE.SphereGeometry(1, 12, 8));
+
+function createLines(scene, geometry, color) {
+  const material = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.matrixAutoUpdate = false;
+  lines.renderOrder = 10;
+  lines.visible = false;
+  scene.add(lines);
+  return lines;
+}
+
+/**
+ * Place unit box lines on an OBB
+ */
+function fitBox(lines, obb) {
+  const { center, axes, half } = obb;
+  lines.matrix.makeBasis(axes[0], axes[1], axes[2]).scale(half).setPosition(center.x, center.y, center.z);
+  lines.visible = true;
+}
+
+export class DebugOverlay {
+  constructor(scene, sim, particles) {
+    this.scene = scene;
+    this.sim = sim;
+    this.particles = particles;
+    this.enabled = false;
+    this.panel = document.getElementById('debug-panel');
+
+    this.playerLines = createLines(scene, BOX_EDGES, PLAYER_COLOR);
+    this.obstacleLines = [];
+    this.pickupLines = [];
+
+    // Spawns dropped this run, by pool
+    this.cut = { obstacles: 0, powerups: 0, shards: 0 };
+    sim.events.on(GAME_EVENTS.RUN_STARTED, () => {
+      for (const pool in this.cut) this.cut[pool] = 0;
+    });
+    sim.events.on(GAME_EVENTS.POOL_EXHAUSTED, (e) => {
+      this.cut[e.pool] += e.dropped;
+    });
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+    this.panel.classList.toggle('hidden', !this.enabled);
+    if (!this.enabled) this._hideAll();
+  }
+
+  _hideAll() {
+    this.playerLines.visible = false;
+    for (const lines of this.obstacleLines) lines.visible = false;
+    for (const lines of this.pickupLines) lines.visible = false;
+  }
+
+  /**
+   * One set of lines per pool entry, created as pools grow; lines past a
+   * pool that has trimmed back are hidden
+   */
+  _linesFor(list, count, geometry, color) {
+    while (list.length < count) {
+      list.push(createLines(this.scene, geometry, color));
+    }
+    for (let i = count; i < list.length; i++) list[i].visible = false;
+    return list;
+  }
+
+  sync() {
+    if (!this.enabled) return;
+    const { player, obstacles, powerups, shards, forgiveness } = this.sim;
+
+    fitBox(this.playerLines, player.obb);
+
+    const obstacleLines = this._linesFor(this.obstacleLines, obstacles.pool.length, BOX_EDGES, CLEAR_COLOR);
+    let activeObstacles = 0;
+    obstacles.pool.forEach((obstacle, i) => {
+      const lines = obstacleLines[i];
+      if (!obstacle.active) {
+        lines.visible = false;
+        return;
+      }
+      activeObstacles++;
+      fitBox(lines, obstacle.obb);
+      let color = CLEAR_COLOR;
+      if (player.boundingBox.intersectsBox(obstacle.boundingBox)) {
+        color = obbIntersectsOBB(player.obb, obstacle.obb, forgiveness) ? HIT_COLOR : GRAZE_COLOR;
+      }
+      lines.material.color.setHex(color);
+    });
+
+    const pickupLines = this._linesFor(this.pickupLines, powerups.pool.length, SPHERE_EDGES, PICKUP_COLOR);
+    let activePickups = 0;
+    powerups.pool.forEach((pu, i) => {
+      const lines = pickupLines[i];
+      lines.visible = pu.active;
+      if (!pu.active) return;
+      activePickups++;
+      const { x, y, z } = pu.position;
+      lines.matrix.makeScale(PICKUP_RADIUS, PICKUP_RADIUS, PICKUP_RADIUS).setPosition(x, y, z);
+    });
+
+    const activeShards = shards.pool.reduce((count, shard) => count + (shard.active ? 1 : 0), 0);
+
+    const { particles, cut } = this;
+    this.panel.textContent =
+      `collision  oriented boxes (SAT) · forgiveness ${forgiveness.toFixed(2)}\n` +
+      `obstacles  ${activeObstacles}/${obstacles.pool.length} (cap ${obstacles.poolCapacity}) · cut ${cut.obstacles}\n` +
+      `power-ups  ${activePickups}/${powerups.pool.length} (cap ${powerups.poolCapacity}) · cut ${cut.powerups}\n` +
+      `shards     ${activeShards}/${shards.pool.length} (cap ${shards.poolCapacity}) · cut ${cut.shards}\n` +
+      `particles  ${particles.activeCount}/${particles.capacity} (cap ${particles.maxCapacity}) · cut ${particles.dropped}`;
+  }
+}
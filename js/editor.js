@@ -0,0 +1,468 @@
+import { PatternLibrary } from './core/patterns.js';
+import { POWERUP_TYPES, POWERUP_DEFS } from './core/powerups.js';
+import { OBSTACLE_TYPES, DEFAULT_OBSTACLE_TYPE } from './core/obstacleTypes.js';
+
+/**
+ * Pattern Editor
+ * Top-down grid of the track for laying out an obstacle pattern: place
+ * cubes, pillars, low bars and other static obstacles plus power-ups, tune
+ * their height, size and speed, then play-test the pattern through the
+ * simulation or export it in the data/patterns.json format. The work in
+ * progress persists in localStorage.
+ */
+
+const STORAGE_KEY = 'cubeDodgeEditor';
+
+const TRACK_HALF_WIDTH = 5;   // drawn track edge
+const PLACE_HALF_WIDTH = 4;   // furthest |x| items may sit at
+const PATTERN_LENGTH = 60;    // z units shown
+const STEP_X = 0.5;
+const STEP_Z = 1;
+const PX_PER_X = 36;
+const PX_PER_Z = 8;
+const PICK_RADIUS = 0.6;      // track units around an item that select it
+
+// Tools that place an obstacle, and the type they place
+const OBSTACLE_TOOLS = {
+  cube: 'normal',
+  explosive: 'explosive',
+  pillar: 'pillar',
+  lowbar: 'lowbar',
+  splitter: 'splitter',
+};
+
+const DEFAULT_STATE = {
+  name: 'custom',
+  tool: 'cube',
+  props: { y: 1.2, scale: 1, speed: 1, powerupType: '' },
+  items: [],
+};
+
+function hex(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function snap(value, step) {
+  return Math.round(value / step) * step;
+}
+
+export class Editor {
+  /**
+   * @param {import('./core/patterns.js').PatternLimits} limits
+   * @param {{ onPlaytest: (pattern: Object) => void, onClose: () => void }} callbacks
+   */
+  constructor(limits, { onPlaytest, onClose }) {
+    this.limits = limits;
+    this.onPlaytest = onPlaytest;
+    this.onClose = onClose;
+    this.isOpen = false;
+    this.selected = null;  // item being edited by the sliders
+
+    // DOM references
+    this.screen = document.getElementById('editor-screen');
+    this.canvas = document.getElementById('editor-canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.nameInput = document.getElementById('editor-name');
+    this.toolButtons = [...document.querySelectorAll('#editor-tools [data-tool]')];
+    this.heightInput = document.getElementById('editor-height');
+    this.scaleInput = document.getElementById('editor-scale');
+    this.speedInput = document.getElementById('editor-speed');
+    this.typeSelect = document.getElementById('editor-powerup-type');
+    this.statusEl = document.getElementById('editor-status');
+    this.playtestBtn = document.getElementById('editor-playtest-btn');
+    this.fileInput = document.getElementById('editor-file-input');
+
+    this.canvas.width = TRACK_HALF_WIDTH * 2 * PX_PER_X;
+    this.canvas.height = PATTERN_LENGTH * PX_PER_Z;
+
+    this.state = this._load();
+    this._setupControls();
+    this._syncControls();
+  }
+
+  _load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved) {
+        // Older saves kept the power-up type in `type`, which cubes now use
+        // for their obstacle type
+        const { type: powerupType = '', ...props } = saved.props ?? {};
+        return {
+          ...DEFAULT_STATE,
+          ...saved,
+          props: { ...DEFAULT_STATE.props, powerupType, ...props },
+          items: (saved.items ?? []).map((item) => {
+            if (item.kind === 'powerup' && 'type' in item) {
+              const { type, ...rest } = item;
+              return { ...rest, powerupType: type };
+            }
+            // ...and flagged explosive cubes instead of naming a type
+            if (item.kind === 'cube' && !item.type) {
+              return { ...item, type: item.explosive ? 'explosive' : DEFAULT_OBSTACLE_TYPE };
+            }
+            return item;
+          }),
+        };
+      }
+    } catch (e) {
+      console.warn('Discarding unreadable editor state:', e);
+    }
+    return structuredClone(DEFAULT_STATE);
+  }
+
+  _save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+  }
+
+  _setupControls() {
+    // The editor covers the menu overlay, so keep clicks from starting a run
+    this.screen.addEventListener('click', (e) => e.stopPropagation());
+
+    for (const type of Object.values(POWERUP_TYPES)) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = POWERUP_DEFS[type].label;
+      this.typeSelect.appendChild(option);
+    }
+
+    this.nameInput.addEventListener('input', () => {
+      this.state.name = this.nameInput.value.trim() || DEFAULT_STATE.name;
+      this._changed();
+    });
+    for (const button of this.toolButtons) {
+      button.addEventListener('click', () => {
+        this.state.tool = button.dataset.tool;
+        this._syncControls();
+        this._save();
+      });
+    }
+
+    // Sliders set the defaults for new items and edit the selected one
+    const bindProp = (input, key, parse) => {
+      input.addEventListener('input', () => {
+        const value = parse(input.value);
+        this.state.props[key] = value;
+        if (this.selected && key in this.selected) this.selected[key] = value;
+        this._syncControls();
+        this._changed();
+      });
+    };
+    bindProp(this.heightInput, 'y', Number);
+    bindProp(this.scaleInput, 'scale', Number);
+    bindProp(this.speedInput, 'speed', Number);
+    bindProp(this.typeSelect, 'powerupType', String);
+
+    this.canvas.addEventListener('pointerdown', (e) => this._onPointer(e));
+    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    document.getElementById('editor-clear-btn').addEventListener('click', () => {
+      this.state.items = [];
+      this.selected = null;
+      this._changed();
+    });
+    document.getElementById('editor-export-btn').addEventListener('click', () => this._export());
+    document.getElementById('editor-import-btn').addEventListener('click', () => this.fileInput.click());
+    document.getElementById('editor-back-btn').addEventListener('click', () => this.onClose());
+    this.playtestBtn.addEventListener('click', () => {
+      const { pattern } = this._validate();
+      if (pattern) this.onPlaytest(pattern);
+    });
+
+    this.fileInput.addEventListener('change', async () => {
+      const file = this.fileInput.files[0];
+      this.fileInput.value = '';
+      if (!file) return;
+      try {
+        this._import(JSON.parse(await file.text()));
+      } catch (e) {
+        console.warn('Could not import pattern:', e);
+        this.setStatus(`Import failed: ${e.message}`, true);
+      }
+    });
+
+    window.addEventListener('keydown', (e) => {
+      if (!this.isOpen || e.code !== 'Escape') return;
+      e.preventDefault();
+      this.onClose();
+    });
+  }
+
+  /**
+   * Reflect state in the tool buttons, sliders and labels
+   */
+  _syncControls() {
+    const props = this.selected ?? this.state.props;
+    this.nameInput.value = this.state.name;
+    for (const button of this.toolButtons) {
+      button.classList.toggle('selected', button.dataset.tool === this.state.tool);
+    }
+    this.heightInput.value = props.y ?? this.state.props.y;
+    this.scaleInput.value = props.scale ?? this.state.props.scale;
+    this.speedInput.value = props.speed;
+    this.typeSelect.value = props.powerupType ?? this.state.props.powerupType;
+    for (const input of [this.heightInput, this.scaleInput, this.speedInput]) {
+      input.nextElementSibling.textContent = Number(input.value).toFixed(1);
+    }
+  }
+
+  _changed() {
+    this._save();
+    this._validate();
+    this.render();
+  }
+
+  open(message = null) {
+    this.isOpen = true;
+    this.screen.classList.remove('hidden');
+    this._validate();
+    if (message) this.setStatus(message);
+    this.render();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.screen.classList.add('hidden');
+  }
+
+  setStatus(text, isError = false) {
+    this.statusEl.textContent = text;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  // --- Editing ---
+
+  _toTrack(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const py = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    return {
+      x: px / PX_PER_X - TRACK_HALF_WIDTH,
+      z: (this.canvas.height - py) / PX_PER_Z,
+    };
+  }
+
+  _itemAt(x, z) {
+    let best = null;
+    let bestDistance = PICK_RADIUS;
+    for (const item of this.state.items) {
+      const distance = Math.hypot(item.x - x, (item.z - z) * (PX_PER_Z / PX_PER_X));
+      if (distance <= bestDistance) {
+        best = item;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  _onPointer(e) {
+    e.preventDefault();
+    const { x, z } = this._toTrack(e);
+    const hit = this._itemAt(x, z);
+    const erase = e.button === 2 || this.state.tool === 'erase';
+
+    if (erase) {
+      if (hit) this._remove(hit);
+    } else if (hit) {
+      this.selected = hit;
+    } else {
+      this.selected = this._place(
+        Math.max(-PLACE_HALF_WIDTH, Math.min(PLACE_HALF_WIDTH, snap(x, STEP_X))),
+        Math.max(0, Math.min(PATTERN_LENGTH - 1, snap(z, STEP_Z)))
+      );
+    }
+    this._syncControls();
+    this._changed();
+  }
+
+  _place(x, z) {
+    const { tool, props, items } = this.state;
+    let item;
+    if (tool === 'powerup') {
+      // One power-up per row in the pattern format
+      const existing = items.find(i => i.kind === 'powerup' && i.z === z);
+      if (existing) this._remove(existing);
+      item = { kind: 'powerup', x, z, speed: props.speed, powerupType: props.powerupType };
+    } else {
+      item = {
+        kind: 'cube',
+        x,
+        z,
+        y: props.y,
+        scale: props.scale,
+        speed: props.speed,
+        type: OBSTACLE_TOOLS[tool],
+      };
+    }
+    items.push(item);
+    return item;
+  }
+
+  _remove(item) {
+    this.state.items.splice(this.state.items.indexOf(item), 1);
+    if (this.selected === item) this.selected = null;
+  }
+
+  // --- Pattern conversion ---
+
+  /**
+   * The items as a pattern in the data/patterns.json format
+   */
+  toPattern() {
+    const rows = new Map();
+    for (const item of this.state.items) {
+      if (!rows.has(item.z)) rows.set(item.z, { z: item.z, cubes: [] });
+      const row = rows.get(item.z);
+      if (item.kind === 'powerup') {
+        row.powerup = { x: item.x, speed: item.speed };
+        if (item.powerupType) row.powerup.type = item.powerupType;
+      } else {
+        const { x, y, scale, speed, type } = item;
+        row.cubes.push(type === DEFAULT_OBSTACLE_TYPE ? { x, y, scale, speed } : { x, y, scale, speed, type });
+      }
+    }
+    return {
+      id: this.state.name,
+      rows: [...rows.values()].sort((a, b) => a.z - b.z),
+    };
+  }
+
+  _import(data) {
+    // Accept a whole patterns file (first pattern) or a bare pattern
+    const pattern = Array.isArray(data?.patterns) ? data.patterns[0] : data;
+    if (!Array.isArray(pattern?.rows)) throw new Error('No pattern rows found');
+
+    const items = [];
+    for (const row of pattern.rows) {
+      for (const cube of row.cubes ?? []) {
+        items.push({
+          kind: 'cube',
+          x: cube.x,
+          z: row.z,
+          y: cube.y ?? DEFAULT_STATE.props.y,
+          scale: cube.scale ?? 1,
+          speed: cube.speed ?? 1,
+          type: cube.type ?? (cube.explosive === true ? 'explosive' : DEFAULT_OBSTACLE_TYPE),
+        });
+      }
+      if (row.powerup) {
+        items.push({
+          kind: 'powerup',
+          x: row.powerup.x,
+          z: row.z,
+          speed: row.powerup.speed ?? 1,
+          powerupType: row.powerup.type ?? '',
+        });
+      }
+    }
+    this.state.name = pattern.id ?? DEFAULT_STATE.name;
+    this.state.items = items;
+    this.selected = null;
+    this._syncControls();
+    this._changed();
+  }
+
+  _export() {
+    const file = { patterns: [this.toPattern()] };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pattern-${this.state.name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Run the pattern through the same checks as data/patterns.json.
+   * Returns the normalized pattern, or null with the reason shown.
+   */
+  _validate() {
+    if (this.state.items.length === 0) {
+      this.setStatus('Click the grid to place cubes');
+      this.playtestBtn.disabled = true;
+      return { pattern: null };
+    }
+    const library = new PatternLibrary({ patterns: [this.toPattern()] }, this.limits);
+    const pattern = library.patterns[0] ?? null;
+    if (pattern) {
+      this.setStatus(`${pattern.cubeCount} cubes over ${pattern.length} units — passable`);
+    } else {
+      this.setStatus(library.errors[0], true);
+    }
+    this.playtestBtn.disabled = !pattern;
+    return { pattern };
+  }
+
+  // --- Drawing ---
+
+  render() {
+    if (!this.isOpen) return;
+    const { ctx, canvas } = this;
+    const toPx = (x, z) => [
+      (x + TRACK_HALF_WIDTH) * PX_PER_X,
+      canvas.height - z * PX_PER_Z,
+    ];
+
+    ctx.fillStyle = '#0a0a1a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Grid: fine lines every step, brighter every 5 z units and at x = 0
+    ctx.lineWidth = 1;
+    for (let x = -TRACK_HALF_WIDTH; x <= TRACK_HALF_WIDTH; x += STEP_X) {
+      ctx.strokeStyle = x === 0 ? 'rgba(0, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.06)';
+      const [px] = toPx(x, 0);
+      ctx.beginPath();
+      ctx.moveTo(px + 0.5, 0);
+      ctx.lineTo(px + 0.5, canvas.height);
+      ctx.stroke();
+    }
+    for (let z = 0; z <= PATTERN_LENGTH; z += STEP_Z) {
+      ctx.strokeStyle = z % 5 === 0 ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)';
+      const [, py] = toPx(0, z);
+      ctx.beginPath();
+      ctx.moveTo(0, py - 0.5);
+      ctx.lineTo(canvas.width, py - 0.5);
+      ctx.stroke();
+    }
+
+    // Out-of-bounds strips at the track edges
+    ctx.fillStyle = 'rgba(255, 0, 102, 0.08)';
+    const edge = (TRACK_HALF_WIDTH - PLACE_HALF_WIDTH - STEP_X / 2) * PX_PER_X;
+    ctx.fillRect(0, 0, edge, canvas.height);
+    ctx.fillRect(canvas.width - edge, 0, edge, canvas.height);
+
+    for (const item of this.state.items) {
+      const [px, py] = toPx(item.x, item.z);
+      if (item.kind === 'powerup') {
+        const def = POWERUP_DEFS[item.powerupType];
+        ctx.fillStyle = def ? hex(def.color) : '#ffffff';
+        ctx.beginPath();
+        ctx.arc(px, py, 7, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        // Width follows scale; brightness follows height
+        const def = OBSTACLE_TYPES[item.type] ?? OBSTACLE_TYPES[DEFAULT_OBSTACLE_TYPE];
+        const size = def.size[0] * 2 * item.scale * PX_PER_X * 0.7;
+        ctx.globalAlpha = 0.45 + Math.min(item.y / 3, 1) * 0.55;
+        ctx.fillStyle = hex(def.colors[0]);
+        ctx.fillRect(px - size / 2, py - 4, size, 8);
+        ctx.globalAlpha = 1;
+        if (item.speed !== 1) {
+          ctx.fillStyle = '#e0e8ff';
+          ctx.font = '9px monospace';
+          ctx.fillText(`${item.speed.toFixed(1)}×`, px + size / 2 + 2, py + 3);
+        }
+      }
+      if (item === this.selected) {
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(px - 12, py - 8, 24, 16);
+      }
+    }
+
+    // Where the player stands: the first row arrives from the bottom
+    ctx.fillStyle = '#00ffff';
+    ctx.font = '10px monospace';
+    ctx.fillText('▲ PLAYER SIDE', 6, canvas.height - 6);
+  }
+}
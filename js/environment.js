@@ -1,12 +1,15 @@
 import * as THREE from 'three';
+import { THEMES } from './cosmetics.js';
 
 /**
  * Visual Environment
- * Infinite scrolling ground, starfield particles, lighting, and fog.
+ * Infinite scrolling ground, starfield particles, lighting, and fog,
+ * coloured by the equipped track theme (cosmetics.js).
  */
 export class Environment {
-  constructor(scene) {
+  constructor(scene, director, theme = THEMES[0]) {
     this.scene = scene;
+    this.director = director;  // scroll speed follows the difficulty curve
     this.groundSegments = [];
     this.segmentLength = 40;
     this.numSegments = 5;
@@ -18,8 +21,25 @@ export class Environment {
     this._createSideWalls();
 
     // Fog for depth
-    scene.fog = new THREE.FogExp2(0x0a0a1a, 0.015);
-    scene.background = new THREE.Color(0x0a0a1a);
+    scene.fog = new THREE.FogExp2(theme.fog, 0.015);
+    scene.background = new THREE.Color(theme.background);
+
+    this.setTheme(theme);
+  }
+
+  /**
+   * Recolour the track and sky (cosmetics.js THEMES)
+   */
+  setTheme(theme) {
+    this.theme = theme;
+    this.scene.background.setHex(theme.background);
+    this.scene.fog.color.setHex(theme.fog);
+    this._drawGround(theme);
+    this.leftWall.material.color.setHex(theme.walls[0]);
+    this.rightWall.material.color.setHex(theme.walls[1]);
+    this.pointLeft.color.setHex(theme.lights[0]);
+    this.pointRight.color.setHex(theme.lights[1]);
+    this.stars.material.color.setHex(theme.stars);
   }
 
   _createLighting() {
@@ -42,28 +62,54 @@ export class Environment {
     this.scene.add(dirLight);
 
     // Point lights for neon ambiance
-    const pointLeft = new THREE.PointLight(0x00ffff, 1.5, 30);
-    pointLeft.position.set(-8, 5, -10);
-    this.scene.add(pointLeft);
+    this.pointLeft = new THREE.PointLight(0x00ffff, 1.5, 30);
+    this.pointLeft.position.set(-8, 5, -10);
+    this.scene.add(this.pointLeft);
 
-    const pointRight = new THREE.PointLight(0xff0066, 1.5, 30);
-    pointRight.position.set(8, 5, -20);
-    this.scene.add(pointRight);
+    this.pointRight = new THREE.PointLight(0xff0066, 1.5, 30);
+    this.pointRight.position.set(8, 5, -20);
+    this.scene.add(this.pointRight);
   }
 
   _createGround() {
-    // Grid-line ground material
+    // Grid-line ground material, drawn by the theme
     const canvas = document.createElement('canvas');
     canvas.width = 256;
     canvas.height = 256;
-    const ctx = canvas.getContext('2d');
+    this.groundCanvas = canvas;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(2, 8);
+    this.groundTexture = texture;
+
+    for (let i = 0; i < this.numSegments; i++) {
+      const ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(12, this.segmentLength),
+        new THREE.MeshPhongMaterial({
+          map: texture,
+          shininess: 50,
+          specular: 0x111133,
+        })
+      );
+      ground.rotation.x = -Math.PI / 2;
+      ground.position.z = -i * this.segmentLength + this.segmentLength / 2;
+      ground.receiveShadow = true;
+      this.scene.add(ground);
+      this.groundSegments.push(ground);
+    }
+  }
+
+  _drawGround(theme) {
+    const ctx = this.groundCanvas.getContext('2d');
 
     // Dark background
-    ctx.fillStyle = '#0d0d1a';
+    ctx.fillStyle = theme.ground;
     ctx.fillRect(0, 0, 256, 256);
 
     // Grid lines
-    ctx.strokeStyle = '#1a3a5c';
+    ctx.strokeStyle = theme.grid;
     ctx.lineWidth = 1;
     const gridSize = 32;
     for (let i = 0; i <= 256; i += gridSize) {
@@ -78,33 +124,14 @@ export class Environment {
     }
 
     // Brighter center line
-    ctx.strokeStyle = '#00ccff33';
+    ctx.strokeStyle = theme.centerLine;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.moveTo(128, 0);
     ctx.lineTo(128, 256);
     ctx.stroke();
 
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(2, 8);
-
-    for (let i = 0; i < this.numSegments; i++) {
-      const ground = new THREE.Mesh(
-        new THREE.PlaneGeometry(12, this.segmentLength),
-        new THREE.MeshPhongMaterial({
-          map: texture,
-          shininess: 50,
-          specular: 0x111133,
-        })
-      );
-      ground.rotation.x = -Math.PI / 2;
-      ground.position.z = -i * this.segmentLength + this.segmentLength / 2;
-      ground.receiveShadow = true;
-      this.scene.add(ground);
-      this.groundSegments.push(ground);
-    }
+    this.groundTexture.needsUpdate = true;
   }
 
   _createStarfield() {
@@ -135,23 +162,23 @@ export class Environment {
       transparent: true,
       opacity: 0.3,
     });
-    const leftWall = new THREE.Mesh(wallGeo, leftMat);
-    leftWall.position.set(-6, 0.5, -60);
-    this.scene.add(leftWall);
+    this.leftWall = new THREE.Mesh(wallGeo, leftMat);
+    this.leftWall.position.set(-6, 0.5, -60);
+    this.scene.add(this.leftWall);
 
     const rightMat = new THREE.MeshBasicMaterial({
       color: 0xff0066,
       transparent: true,
       opacity: 0.3,
     });
-    const rightWall = new THREE.Mesh(wallGeo, rightMat);
-    rightWall.position.set(6, 0.5, -60);
-    this.scene.add(rightWall);
+    this.rightWall = new THREE.Mesh(wallGeo, rightMat);
+    this.rightWall.position.set(6, 0.5, -60);
+    this.scene.add(this.rightWall);
   }
 
-  update(dt, gameSpeed) {
+  update(dt, speed = this.director.speed) {
     // Scroll ground segments
-    const scrollDelta = gameSpeed * dt;
+    const scrollDelta = speed * dt;
     for (const segment of this.groundSegments) {
       segment.position.z += scrollDelta;
       if (segment.position.z > this.segmentLength) {
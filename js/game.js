@@ -1,37 +1,111 @@
 import * as THREE from 'three';
 import { InputManager } from './input.js';
-import { Player } from './player.js';
-import { ObstacleManager } from './obstacles.js';
+import { PlayerView } from './player.js';
+import { ObstacleView } from './obstacles.js';
 import { Environment } from './environment.js';
 import { AudioManager } from './audio.js';
-import { PowerUpManager, POWERUP_TYPES } from './powerups.js';
+import { PowerUpView } from './powerups.js';
+import { ShardView } from './shards.js';
 import { ParticleSystem } from './particles.js';
+import { ShockwaveView } from './shockwave.js';
+import { DebugOverlay } from './debug.js';
+import { Ghost } from './ghost.js';
+import { Settings } from './settings.js';
+import { Leaderboard } from './leaderboard.js';
+import { LifetimeStats } from './lifetime.js';
+import { AchievementTracker } from './achievements.js';
+import { Editor } from './editor.js';
+import { Wallet } from './wallet.js';
+import { Shop } from './shop.js';
+import { SkinPreview } from './preview.js';
+import { SKINS } from './skinTypes.js';
+import { Simulation, GAME_VERSION, FIXED_STEP } from './core/simulation.js';
+import { SeededRandom } from './core/random.js';
+import { GAME_EVENTS } from './core/events.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './core/difficulty.js';
+import { GAME_MODES, DEFAULT_MODE } from './core/modes.js';
+import { OBSTACLE_TYPES } from './core/obstacleTypes.js';
+import { RunStats } from './core/stats.js';
+import { POWERUP_DEFS } from './core/powerups.js';
+import { SHARD_COLOR } from './core/shards.js';
+import { ReplayRecorder, ReplayInput, serializeReplay, parseReplay } from './core/replay.js';
 
 /**
  * Main Game Controller
- * Manages game state, loop, score, power-ups, particles, and all subsystems.
+ * Browser view layer over the Simulation core: owns the renderer, DOM,
+ * input, audio and effects, and drives the simulation on a fixed step.
  */
 
+// Blasts further than this many radii from the player shake the camera least
+const SHAKE_REACH = 4;
+
 const STATE = {
   MENU: 'MENU',
   PLAYING: 'PLAYING',
+  PAUSED: 'PAUSED',
   GAME_OVER: 'GAME_OVER',
+  EDITOR: 'EDITOR',
+  SHOP: 'SHOP',
+  CONTINUE: 'CONTINUE',  // last life lost, counting down the continue offer
 };
 
+// Seconds the player has to take the continue
+const CONTINUE_SECONDS = 5;
+
+// Longest real frame time let through, so time spent in a background tab
+// doesn't arrive all at once
+const MAX_FRAME_TIME = 0.1;
+
 class Game {
   constructor() {
     // DOM references
     this.canvas = document.getElementById('game-canvas');
     this.scoreEl = document.getElementById('score-value');
     this.highScoreEl = document.getElementById('highscore-value');
+    this.ghostItem = document.getElementById('ghost-item');
+    this.comboItem = document.getElementById('combo-item');
+    this.comboValueEl = document.getElementById('combo-value');
+    this.comboMultiplierEl = document.getElementById('combo-multiplier');
+    this.shardsValueEl = document.getElementById('shards-value');
+    this.walletBalanceEl = document.getElementById('wallet-balance');
+    this.ghostDeltaEl = document.getElementById('ghost-delta');
     this.menuScreen = document.getElementById('menu-screen');
     this.gameOverScreen = document.getElementById('gameover-screen');
+    this.pauseScreen = document.getElementById('pause-screen');
+    this.pauseMenu = document.getElementById('pause-menu');
+    this.settingsPanel = document.getElementById('settings-panel');
+    this.volumeSetting = document.getElementById('volume-setting');
+    this.ghostSetting = document.getElementById('ghost-setting');
+    this.countdownEl = document.getElementById('countdown');
     this.finalScoreEl = document.getElementById('final-score');
     this.newHighEl = document.getElementById('new-high');
-    this.powerupIndicator = document.getElementById('powerup-indicator');
-    this.powerupIcon = document.getElementById('powerup-icon');
-    this.powerupLabel = document.getElementById('powerup-label');
-    this.powerupTimerFill = document.getElementById('powerup-timer-fill');
+    this.runSeedEl = document.getElementById('run-seed');
+    this.runStatsEl = document.getElementById('run-stats');
+    this.deathCauseEl = document.getElementById('death-cause');
+    this.lifetimeStatsEl = document.getElementById('lifetime-stats');
+    this.initialsForm = document.getElementById('initials-form');
+    this.initialsInput = document.getElementById('initials-input');
+    this.rankDisplay = document.getElementById('rank-display');
+    this.leaderboardList = document.getElementById('leaderboard-list');
+    this.leaderboardEmpty = document.getElementById('leaderboard-empty');
+    this.leaderboardDifficulty = document.getElementById('leaderboard-difficulty');
+    this.difficultySelect = document.getElementById('difficulty-select');
+    this.modeSelect = document.getElementById('mode-select');
+    this.livesItem = document.getElementById('lives-item');
+    this.livesValueEl = document.getElementById('lives-value');
+    this.continueScreen = document.getElementById('continue-screen');
+    this.continueCountdownEl = document.getElementById('continue-countdown');
+    this.achievementList = document.getElementById('achievement-list');
+    this.achievementCount = document.getElementById('achievement-count');
+    this.achievementToast = document.getElementById('achievement-toast');
+    this.replayBadge = document.getElementById('replay-badge');
+    this.saveReplayBtn = document.getElementById('save-replay-btn');
+    this.watchReplayBtn = document.getElementById('watch-replay-btn');
+    this.loadReplayBtn = document.getElementById('load-replay-btn');
+    this.replayFileInput = document.getElementById('replay-file-input');
+    this.powerupIndicatorsEl = document.getElementById('powerup-indicators');
+    // Indicator elements by power-up type, built on first pickup
+    this.powerupIndicators = new Map();
 
     // Three.js renderer
     this.renderer = new THREE.WebGLRenderer({
@@ -59,50 +133,399 @@ class Game {
     this.cameraLookOffset = new THREE.Vector3(0, 0, -15);
     this.camera.position.copy(this.cameraOffset);
 
+    // Game rules, gameplay RNG and game clock live in the simulation core
+    this.sim = new Simulation();
+    this.runStats = new RunStats(this.sim);  // subscribed before the view's gameOver handler
+    this.lifetimeStats = new LifetimeStats();
+    this.achievements = new AchievementTracker(this.sim);
+
+    // Cosmetic effects draw from their own stream, reseeded per run, so
+    // extra particles never shift the gameplay spawn sequence
+    this.seedOverride = this._readSeedParam();
+    this.fxRng = new SeededRandom();
+
+    // Replays — every live run is recorded; `replayInput` is set while
+    // a recorded run is being played back in place of the keyboard
+    this.recorder = new ReplayRecorder();
+    this.lastReplay = null;
+    this.replayInput = null;
+
+    // Pattern being play-tested from the editor, or null
+    this.playtest = null;
+
     // Subsystems
+    this.settings = new Settings();
     this.input = new InputManager();
     this.audio = new AudioManager();
-    this.player = new Player(this.scene);
-    this.obstacles = new ObstacleManager(this.scene);
-    this.environment = new Environment(this.scene);
-    this.powerups = new PowerUpManager(this.scene);
-    this.particles = new ParticleSystem(this.scene);
+    this.audio.setVolume(this.settings.get('volume'));
+    this.wallet = new Wallet();
+    this.player = new PlayerView(this.scene, this.sim.player, this.sim.clock, this.wallet.equipped('skins'));
+    this.obstacles = new ObstacleView(this.scene, this.sim.obstacles, this.sim.clock);
+    this.environment = new Environment(this.scene, this.sim.director, this.wallet.equipped('themes'));
+    this.powerups = new PowerUpView(this.scene, this.sim.powerups, this.sim.clock);
+    this.shards = new ShardView(this.scene, this.sim.shards, this.sim.clock);
+    this.particles = new ParticleSystem(this.scene, this.fxRng);
+    this.shockwaves = new ShockwaveView(this.scene);
+    this.debug = new DebugOverlay(this.scene, this.sim, this.particles);
+    this.ghost = new Ghost(this.scene);
 
     // Game state
     this.state = STATE.MENU;
-    this.score = 0;
-    this.highScore = parseInt(localStorage.getItem('cubeDodgeHighScore')) || 0;
-    this.scoreTimer = 0;
-    this.lastMilestone = 0;
+    this.mode = this.settings.get('mode');
+    if (!Object.hasOwn(GAME_MODES, this.mode)) {
+      this.mode = DEFAULT_MODE;
+    }
+    this.difficulty = this.settings.get('difficulty');
+    if (!Object.hasOwn(DIFFICULTY_PRESETS, this.difficulty)) {
+      this.difficulty = DEFAULT_DIFFICULTY;
+    }
+    this.leaderboard = new Leaderboard();
+    // Best on the selected difficulty, set with it
+    this.highScore = 0;
+    this.leaderboardEntry = null;  // entry awaiting initials
+    this.comboShown = 0;
 
-    // Timing
+    // Timing (real time; game time lives in the simulation clock)
     this.clock = new THREE.Clock();
-    this.fixedTimeStep = 1 / 60;
+    this.fixedTimeStep = FIXED_STEP;
     this.accumulator = 0;
 
     // Camera shake
     this.shakeIntensity = 0;
     this.shakeDuration = 0;
 
-    // Display high score
-    this.highScoreEl.textContent = this.highScore;
+    // Equipped trail; `trailDue` counts particles owed since the last emit
+    this.trail = this.wallet.equipped('trails');
+    this.trailDue = 0;
+    this._trailTint = new THREE.Color();
+    // Where the current move's particles start
+    this._moveFxPosition = new THREE.Vector3();
+
+    // Seconds left on the 3-2-1 resume countdown (0 = showing pause menu)
+    this.resumeCountdown = 0;
+    // Seconds left to take the continue, and the lives the HUD shows
+    this.continueCountdown = 0;
+    this.livesShown = 0;
 
     // Events
     window.addEventListener('resize', () => this._onResize());
     document.addEventListener('visibilitychange', () => {
-      if (document.hidden && this.state === STATE.PLAYING) {
-        this.clock.stop();
-      } else if (!document.hidden && this.state === STATE.PLAYING) {
-        this.clock.start();
+      const running = this.state === STATE.PLAYING || this.resumeCountdown > 0;
+      if (document.hidden && running) {
+        this._pause();
       }
     });
 
+    this._loadPatterns();
+    this._bindGameEvents();
+    this._setupLeaderboard();
+    this._setupAchievements();
+    this._setupDifficultySelect();
+    this._setupModeSelect();
     this._setupStartHandlers();
+    this._setupContinueHandlers();
+    this._setupPauseHandlers();
+    this._setupReplayHandlers();
+    this._setupEditor();
+    this._setupShop();
+    this._setupSkinSelect();
+    this._setupDebug();
     this._animate();
   }
 
+  /**
+   * Fetch the authored obstacle waves; runs use random spawns only until
+   * (or unless) they arrive
+   */
+  async _loadPatterns() {
+    try {
+      const response = await fetch('data/patterns.json');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const library = this.sim.setPatterns(await response.json());
+      for (const error of library.errors) {
+        console.warn(`Skipped ${error}`);
+      }
+    } catch (e) {
+      console.warn('Could not load obstacle patterns:', e);
+    }
+  }
+
+  /**
+   * Subscribe audio, effects and HUD to simulation events
+   */
+  _bindGameEvents() {
+    const events = this.sim.events;
+
+    // Audio
+    events.on(GAME_EVENTS.PLAYER_JUMPED, (e) => {
+      if (e.double) this.audio.playDoubleJump();
+      else this.audio.playJump();
+    });
+    events.on(GAME_EVENTS.PLAYER_DASHED, () => this.audio.playDash());
+    events.on(GAME_EVENTS.PLAYER_SLID, () => this.audio.playSlide());
+    events.on(GAME_EVENTS.MILESTONE, () => this.audio.playMilestone());
+    events.on(GAME_EVENTS.POWERUP_COLLECTED, () => this.audio.playPickup());
+    events.on(GAME_EVENTS.SHARD_COLLECTED, (e) => this.audio.playShard(e.shards - 1));
+    events.on(GAME_EVENTS.OBSTACLE_SHATTERED, () => this.audio.playShatter());
+    events.on(GAME_EVENTS.NEAR_MISS, (e) => this.audio.playNearMiss(e.combo));
+    events.on(GAME_EVENTS.JUMP_OVER, (e) => this.audio.playJumpOver(e.combo));
+    events.on(GAME_EVENTS.PLAYER_HIT, (e) => {
+      if (!e.blocked && e.isExplosive) this.audio.playExplosion();
+    });
+    // One boom per chain reaction
+    events.on(GAME_EVENTS.EXPLOSION, (e) => {
+      if (e.chain === 0) this.audio.playExplosion();
+    });
+
+    // Player moves: animation plus a burst in the skin's colour, from
+    // under the cube for the jumps and the slide
+    const feet = (position) => this._moveFxPosition.set(position.x, position.y - 0.4, position.z);
+    events.on(GAME_EVENTS.PLAYER_JUMPED, (e) => {
+      this.player.playMove(e.double ? 'double' : 'jump');
+      this.particles.spawnJumpPuff(feet(e.position), this.player.skin.color, e.double);
+    });
+    events.on(GAME_EVENTS.PLAYER_DASHED, (e) => {
+      this.player.playMove('dash', e.direction);
+      this.particles.spawnDashStreak(e.position, this.player.skin.color, e.direction);
+    });
+    events.on(GAME_EVENTS.PLAYER_SLID, (e) => {
+      this.particles.spawnSlideSparks(feet(e.position), this.player.skin.color);
+    });
+
+    // Particles & camera
+    events.on(GAME_EVENTS.POWERUP_COLLECTED, (e) => {
+      this.particles.spawnPickup(e.position, e.color);
+    });
+    events.on(GAME_EVENTS.SHARD_COLLECTED, (e) => {
+      this.particles.spawnPickup(e.position, SHARD_COLOR, 5);
+    });
+    events.on(GAME_EVENTS.OBSTACLE_SHATTERED, (e) => {
+      // Explosives show their blast instead
+      if (!e.isExplosive) this.particles.spawnObstacleEffect(e.effect, e.position, e.color);
+    });
+    events.on(GAME_EVENTS.EXPLOSION, (e) => {
+      this.particles.spawnExplosion(e.position, e.chain === 0 ? 50 : 30);
+      for (const d of e.destroyed) {
+        this.particles.spawnObstacleEffect(d.effect, d.position, d.color);
+      }
+      this.shockwaves.spawn(e.position, e.radius);
+      // Shake hardest for blasts that reach the player, fading with distance
+      const falloff = Math.max(0.15, 1 - e.distance / (e.radius * SHAKE_REACH));
+      this._triggerShake(0.8 * falloff, 0.4);
+    });
+    // Lives mode: knocked back in, with the obstacles around cleared away
+    const onRespawn = (e) => {
+      for (const d of e.cleared) {
+        this.particles.spawnObstacleEffect(d.effect, d.position, d.color);
+      }
+      this._updateLives();
+    };
+    events.on(GAME_EVENTS.LIFE_LOST, (e) => {
+      this.audio.playHit();
+      this._triggerShake(0.5, 0.3);
+      onRespawn(e);
+    });
+    events.on(GAME_EVENTS.PLAYER_REVIVED, onRespawn);
+    events.on(GAME_EVENTS.LIFE_GAINED, () => this._updateLives());
+
+    events.on(GAME_EVENTS.PLAYER_HIT, (e) => {
+      if (e.spared) {
+        // EXTRA LIFE spent: a pink burst instead of the shield's
+        this.particles.spawnShatter(e.position, POWERUP_DEFS.EXTRA_LIFE.color, 12);
+      } else if (e.blocked) {
+        // SHIELD: obstacle breaks harmlessly
+        this.particles.spawnShatter(e.position, 0x00ffff, 12);
+      } else if (e.isExplosive) {
+        this.particles.spawnExplosion(e.position, 50);
+        this._triggerShake(0.8, 0.4);
+      }
+    });
+
+    // HUD
+    events.on(GAME_EVENTS.SCORE_TICK, (e) => {
+      this.scoreEl.textContent = e.score;
+    });
+    events.on(GAME_EVENTS.SHARD_COLLECTED, (e) => {
+      this.shardsValueEl.textContent = e.shards;
+    });
+    events.on(GAME_EVENTS.POWERUP_COLLECTED, (e) => this._showPowerUpIndicator(e.type, e.refreshed));
+    events.on(GAME_EVENTS.POWERUP_EXPIRED, (e) => this._hidePowerUpIndicator(e.type));
+    events.on(GAME_EVENTS.COMBO_CHANGED, (e) => this._updateCombo(e.combo, e.multiplier));
+
+    // Run lifecycle
+    events.on(GAME_EVENTS.GAME_OVER, () => this._gameOver());
+  }
+
+  _setupLeaderboard() {
+    this.initialsForm.addEventListener('click', (e) => e.stopPropagation());
+    this.initialsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!this.leaderboardEntry) return;
+      this.leaderboard.setInitials(this.leaderboardEntry, this.initialsInput.value);
+      this.leaderboardEntry = null;
+      this.initialsInput.blur();
+      this.initialsForm.classList.add('hidden');
+      this._renderLeaderboard();
+    });
+    this._renderLeaderboard();
+  }
+
+  _setupAchievements() {
+    // Unlocks are queued so several at once each get their own toast
+    this.toastQueue = [];
+    this.toastTimer = null;
+    this.achievements.onUnlock((def) => {
+      this.audio.playAchievement();
+      this.toastQueue.push(def);
+      if (!this.toastTimer) this._showNextToast();
+      this._renderAchievements();
+    });
+    this._renderAchievements();
+  }
+
+  _showNextToast() {
+    const def = this.toastQueue.shift();
+    if (!def) {
+      this.toastTimer = null;
+      this.achievementToast.classList.add('hidden');
+      return;
+    }
+    this.achievementToast.querySelector('.toast-title').textContent = def.title;
+    this.achievementToast.querySelector('.toast-description').textContent = def.description;
+    this.achievementToast.classList.remove('hidden');
+    this.toastTimer = setTimeout(() => this._showNextToast(), 3000);
+  }
+
+  _renderAchievements() {
+    const list = this.achievements.list();
+    const unlocked = list.filter(a => a.unlockedAt).length;
+    this.achievementCount.textContent = `${unlocked}/${list.length}`;
+    this.achievementList.replaceChildren(...list.map((a) => {
+      const row = document.createElement('li');
+      row.className = 'achievement-row';
+      row.classList.toggle('unlocked', !!a.unlockedAt);
+
+      const title = document.createElement('span');
+      title.className = 'achievement-title';
+      title.textContent = a.title;
+      const description = document.createElement('span');
+      description.className = 'achievement-description';
+      description.textContent = a.description;
+
+      const bar = document.createElement('div');
+      bar.className = 'achievement-bar';
+      const fill = document.createElement('div');
+      fill.className = 'achievement-bar-fill';
+      const done = a.unlockedAt ? 1 : a.best / a.goal;
+      fill.style.width = `${Math.round(done * 100)}%`;
+      bar.appendChild(fill);
+
+      row.append(title, description, bar);
+      return row;
+    }));
+  }
+
+  /**
+   * Show the board and high score of the selected difficulty
+   */
+  _renderLeaderboard() {
+    const entries = this.leaderboard.entriesFor(this.difficulty);
+    this.highScore = this.leaderboard.highScore(this.difficulty);
+    this.highScoreEl.textContent = this.highScore;
+    this.leaderboardDifficulty.textContent = DIFFICULTY_PRESETS[this.difficulty].label.toUpperCase();
+    this.leaderboardEmpty.classList.toggle('hidden', entries.length > 0);
+    this.leaderboardList.replaceChildren(...entries.map((entry, i) => {
+      const row = document.createElement('li');
+      row.className = 'leaderboard-row';
+      const cells = [
+        `${i + 1}.`,
+        entry.initials,
+        entry.score,
+        GAME_MODES[entry.mode]?.label ?? entry.mode,
+        entry.date ? new Date(entry.date).toLocaleDateString() : '—',
+      ];
+      for (const text of cells) {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      return row;
+    }));
+  }
+
+  _setupDifficultySelect() {
+    const ids = Object.keys(DIFFICULTY_PRESETS);
+    this.difficultyButtons = ids.map((id) => {
+      const button = document.createElement('button');
+      button.className = 'btn';
+      button.textContent = DIFFICULTY_PRESETS[id].label;
+      // The menu overlay's click starts the game
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._setDifficulty(id);
+      });
+      return button;
+    });
+    this.difficultySelect.replaceChildren(...this.difficultyButtons);
+
+    // ←/→ cycle presets while on the menu
+    window.addEventListener('keydown', (e) => {
+      if (this.state !== STATE.MENU) return;
+      const step = { ArrowLeft: -1, KeyA: -1, ArrowRight: 1, KeyD: 1 }[e.code];
+      if (!step) return;
+      const index = (ids.indexOf(this.difficulty) + step + ids.length) % ids.length;
+      this._setDifficulty(ids[index]);
+    });
+
+    this._setDifficulty(this.difficulty);
+  }
+
+  _setDifficulty(id) {
+    this.difficulty = id;
+    this.settings.set('difficulty', id);
+    const ids = Object.keys(DIFFICULTY_PRESETS);
+    this.difficultyButtons.forEach((button, i) => {
+      button.classList.toggle('selected', ids[i] === id);
+    });
+    this._renderLeaderboard();
+  }
+
+  _setupModeSelect() {
+    const ids = Object.keys(GAME_MODES);
+    this.modeButtons = ids.map((id) => {
+      const button = document.createElement('button');
+      button.className = 'btn';
+      button.textContent = GAME_MODES[id].label;
+      // The menu overlay's click starts the game
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._setMode(id);
+      });
+      return button;
+    });
+    this.modeSelect.replaceChildren(...this.modeButtons);
+
+    // M cycles modes while on the menu
+    window.addEventListener('keydown', (e) => {
+      if (this.state !== STATE.MENU || e.code !== 'KeyM') return;
+      this._setMode(ids[(ids.indexOf(this.mode) + 1) % ids.length]);
+    });
+
+    this._setMode(this.mode);
+  }
+
+  _setMode(id) {
+    this.mode = id;
+    this.settings.set('mode', id);
+    const ids = Object.keys(GAME_MODES);
+    this.modeButtons.forEach((button, i) => {
+      button.classList.toggle('selected', ids[i] === id);
+    });
+  }
+
   _setupStartHandlers() {
     const startGame = (e) => {
+      if (this.playtest) return;
       if (this.state === STATE.MENU) {
         e.preventDefault();
         this.audio.init();
@@ -115,6 +538,7 @@ class Game {
     };
 
     window.addEventListener('keydown', (e) => {
+      if (e.target === this.initialsInput) return;
       if (e.code === 'Space' || e.code === 'Enter') {
         startGame(e);
       }
@@ -125,47 +549,574 @@ class Game {
     this.gameOverScreen.addEventListener('click', startGame);
   }
 
+  _setupPauseHandlers() {
+    window.addEventListener('keydown', (e) => {
+      if (e.code !== 'Escape' && e.code !== 'KeyP') return;
+      if (this.state === STATE.PLAYING) {
+        e.preventDefault();
+        this._pause();
+      } else if (this.state === STATE.PAUSED) {
+        e.preventDefault();
+        if (this.resumeCountdown > 0) {
+          this._pause(); // cancel the countdown, back to the menu
+        } else {
+          this._resume();
+        }
+      }
+    });
+
+    const onButton = (id, handler) => {
+      document.getElementById(id).addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+      });
+    };
+
+    onButton('resume-btn', () => this._resume());
+    onButton('restart-btn', () => {
+      this._hidePauseScreen();
+      // Shards picked up before restarting are kept
+      this._bankShards();
+      if (this.playtest) {
+        this._startPlaytest(this.playtest);
+      } else if (this.replayInput) {
+        this._startReplay(this.replayInput.replay);
+      } else {
+        this._startGame();
+      }
+    });
+    onButton('settings-btn', () => this._showSettings(true));
+    onButton('settings-back-btn', () => this._showSettings(false));
+    onButton('quit-btn', () => this._quitToMenu());
+
+    this.volumeSetting.value = Math.round(this.settings.get('volume') * 100);
+    this.volumeSetting.addEventListener('input', () => {
+      const volume = this.volumeSetting.value / 100;
+      this.settings.set('volume', volume);
+      this.audio.setVolume(volume);
+    });
+    this.ghostSetting.checked = this.settings.get('showGhost');
+    this.ghostSetting.addEventListener('change', () => {
+      this.settings.set('showGhost', this.ghostSetting.checked);
+    });
+  }
+
+  _setupContinueHandlers() {
+    window.addEventListener('keydown', (e) => {
+      if (this.state !== STATE.CONTINUE) return;
+      if (e.code === 'KeyC' || e.code === 'Enter') {
+        e.preventDefault();
+        this._takeContinue();
+      } else if (e.code === 'Escape') {
+        e.preventDefault();
+        this._declineContinue();
+      }
+    });
+    document.getElementById('continue-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.state === STATE.CONTINUE) this._takeContinue();
+    });
+  }
+
+  /**
+   * The last life is gone and a continue is left. Replays already know
+   * the answer: the recording only goes on if it was taken.
+   */
+  _offerContinue() {
+    if (this.replayInput) {
+      if (this.replayInput.finished) this.sim.declineContinue();
+      else this.sim.revive();
+      return;
+    }
+    this.state = STATE.CONTINUE;
+    this.input.clear();
+    this.continueCountdown = CONTINUE_SECONDS;
+    this.continueCountdownEl.textContent = CONTINUE_SECONDS;
+    this.continueScreen.classList.remove('hidden');
+  }
+
+  _updateContinueCountdown(dt) {
+    this.continueCountdown -= dt;
+    if (this.continueCountdown <= 0) {
+      this._declineContinue();
+    } else {
+      this.continueCountdownEl.textContent = Math.ceil(this.continueCountdown);
+    }
+  }
+
+  _takeContinue() {
+    this.continueScreen.classList.add('hidden');
+    this.state = STATE.PLAYING;
+    this.sim.revive();
+  }
+
+  /**
+   * Ends the run; the simulation's gameOver brings up the usual screen
+   */
+  _declineContinue() {
+    this.continueScreen.classList.add('hidden');
+    this.state = STATE.PLAYING;
+    this.sim.declineContinue();
+  }
+
+  _pause() {
+    this.state = STATE.PAUSED;
+    this.resumeCountdown = 0;
+    this.input.clear();
+    this.countdownEl.classList.add('hidden');
+    this._showSettings(false);
+    this.pauseScreen.classList.remove('hidden');
+  }
+
+  /**
+   * Leave the pause menu; play resumes after a 3-2-1 countdown
+   */
+  _resume() {
+    this.resumeCountdown = 3;
+    this.pauseScreen.classList.add('hidden');
+    this.countdownEl.textContent = '3';
+    this.countdownEl.classList.remove('hidden');
+  }
+
+  _updateResumeCountdown(dt) {
+    if (this.resumeCountdown <= 0) return;
+    this.resumeCountdown -= dt;
+    if (this.resumeCountdown <= 0) {
+      this.resumeCountdown = 0;
+      this.countdownEl.classList.add('hidden');
+      this.state = STATE.PLAYING;
+    } else {
+      this.countdownEl.textContent = Math.ceil(this.resumeCountdown);
+    }
+  }
+
+  _hidePauseScreen() {
+    this.resumeCountdown = 0;
+    this.pauseScreen.classList.add('hidden');
+    this.countdownEl.classList.add('hidden');
+  }
+
+  _showSettings(show) {
+    this.pauseMenu.classList.toggle('hidden', show);
+    this.settingsPanel.classList.toggle('hidden', !show);
+  }
+
+  _quitToMenu() {
+    if (this.playtest) {
+      this._endPlaytest('Play-test stopped');
+      return;
+    }
+    this._bankShards();
+    this._clearRun();
+    this.state = STATE.MENU;
+    this.menuScreen.classList.remove('hidden');
+  }
+
+  /**
+   * Tear down the current run and its HUD, leaving an empty track
+   */
+  _clearRun() {
+    this._hidePauseScreen();
+    this.continueScreen.classList.add('hidden');
+    this.replayInput = null;
+    this.playtest = null;
+    this.sim.reset(0);
+    this.player.reset();
+    this._syncViews(0);
+    this.particles.reset();
+    this.shockwaves.reset();
+    this.ghost.hide();
+    this._hidePowerUpIndicators();
+    this.gameOverScreen.classList.add('hidden');
+    document.getElementById('hud').classList.add('hidden');
+  }
+
+  _setupEditor() {
+    this.editor = new Editor(this.sim.patternLimits(), {
+      onPlaytest: (pattern) => this._startPlaytest(pattern),
+      onClose: () => this._closeEditor(),
+    });
+
+    document.getElementById('editor-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._openEditor();
+    });
+    window.addEventListener('keydown', (e) => {
+      if (this.state === STATE.MENU && e.code === 'KeyE') this._openEditor();
+    });
+  }
+
+  _openEditor(message = null) {
+    this.state = STATE.EDITOR;
+    this.menuScreen.classList.add('hidden');
+    this.editor.open(message);
+  }
+
+  _closeEditor() {
+    this.editor.close();
+    this.state = STATE.MENU;
+    this.menuScreen.classList.remove('hidden');
+  }
+
+  _setupShop() {
+    this.shop = new Shop(this.wallet, {
+      onEquip: (kind, item) => this._equip(kind, item),
+      onClose: () => this._closeShop(),
+    });
+    this._updateWalletBalance();
+
+    document.getElementById('shop-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._openShop();
+    });
+    window.addEventListener('keydown', (e) => {
+      if (this.state === STATE.MENU && e.code === 'KeyS') this._openShop();
+    });
+  }
+
+  _openShop() {
+    this._restoreSkin();
+    this.state = STATE.SHOP;
+    this.menuScreen.classList.add('hidden');
+    this.shop.open();
+  }
+
+  _closeShop() {
+    this.shop.close();
+    this.state = STATE.MENU;
+    this.menuScreen.classList.remove('hidden');
+    this._updateWalletBalance();
+  }
+
+  /**
+   * Put on a cosmetic just bought or picked in the shop
+   */
+  _equip(kind, item) {
+    if (kind === 'skins') this._previewSkin(SKINS.indexOf(item));
+    else if (kind === 'trails') this.trail = item;
+    else if (kind === 'themes') this.environment.setTheme(item);
+  }
+
+  _setupSkinSelect() {
+    this.skinPreview = new SkinPreview(document.getElementById('skin-preview'), this.scene, this.player.mesh);
+    this.skinLabelEl = document.getElementById('skin-label');
+    this.skinNoteEl = document.getElementById('skin-note');
+
+    const cycle = step => this._previewSkin((this.skinIndex + step + SKINS.length) % SKINS.length);
+    // The menu overlay's click starts the game
+    document.getElementById('skin-prev-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      cycle(-1);
+    });
+    document.getElementById('skin-next-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      cycle(1);
+    });
+    // Up/down cycle skins while on the menu
+    window.addEventListener('keydown', (e) => {
+      if (this.state !== STATE.MENU) return;
+      const step = { ArrowUp: -1, ArrowDown: 1 }[e.code];
+      if (step) cycle(step);
+    });
+
+    this._previewSkin(SKINS.indexOf(this.wallet.equipped('skins')));
+  }
+
+  /**
+   * Show a skin on the menu cube. Owned skins are put on; locked ones are
+   * only tried on, until the next run or shop visit.
+   */
+  _previewSkin(index) {
+    const skin = SKINS[index];
+    this.skinIndex = index;
+    this.player.setSkin(skin);
+    const owned = this.wallet.owns('skins', skin.id);
+    if (owned) this.wallet.equip('skins', skin.id);
+    this.skinLabelEl.textContent = skin.label;
+    this.skinNoteEl.textContent = owned ? '' : `✦ ${skin.price} · in the shop`;
+  }
+
+  /**
+   * Take off a locked skin that was only being tried on
+   */
+  _restoreSkin() {
+    this._previewSkin(SKINS.indexOf(this.wallet.equipped('skins')));
+  }
+
+  /**
+   * Pay the shards collected this run into the wallet, whether it ended or
+   * was quit or restarted from the pause menu; played-back runs and
+   * play-tests earn nothing
+   */
+  _bankShards() {
+    if (!this._isLiveRun()) return;
+    this.wallet.deposit(this.runStats.shards);
+    this._updateWalletBalance();
+  }
+
+  _updateWalletBalance() {
+    this.walletBalanceEl.textContent = this.wallet.shards;
+  }
+
+  /**
+   * Run only the given pattern, then return to the editor
+   */
+  _startPlaytest(pattern) {
+    this.audio.init();
+    this.audio.resume();
+    this.editor.close();
+    this.replayInput = null;
+    this.playtest = pattern;
+    // Play-tests end on the first hit, whatever the chosen mode
+    this._startRun(SeededRandom.randomSeed(), this.difficulty, 'classic');
+
+    const { obstacles, powerups, shards } = this.sim;
+    obstacles.randomSpawns = false;
+    powerups.randomSpawns = false;
+    shards.randomSpawns = false;
+    obstacles.queuePattern(pattern);
+  }
+
+  _endPlaytest(message) {
+    this._clearRun();
+    this._openEditor(message);
+  }
+
+  /**
+   * Whether this run counts: not a replay and not an editor play-test
+   */
+  _isLiveRun() {
+    return !this.replayInput && !this.playtest;
+  }
+
+  /**
+   * Live runs in a ranked mode are the ones compared on the leaderboard,
+   * high score and ghost
+   */
+  _isRankedRun() {
+    return this._isLiveRun() && this.sim.mode.ranked;
+  }
+
+  _setupReplayHandlers() {
+    // Buttons sit on the game-over overlay, whose click restarts the game
+    const onButton = (el, handler) => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+      });
+    };
+
+    onButton(this.saveReplayBtn, () => this._downloadReplay());
+    onButton(this.watchReplayBtn, () => {
+      if (this.lastReplay) this._startReplay(this.lastReplay);
+    });
+    onButton(this.loadReplayBtn, () => this.replayFileInput.click());
+
+    this.replayFileInput.addEventListener('click', (e) => e.stopPropagation());
+    this.replayFileInput.addEventListener('change', async () => {
+      const file = this.replayFileInput.files[0];
+      this.replayFileInput.value = '';
+      if (!file) return;
+      try {
+        const replay = parseReplay(await file.text());
+        if (replay.version !== GAME_VERSION) {
+          console.warn(`Replay was recorded on v${replay.version}, playing on v${GAME_VERSION}; it may desync.`);
+        }
+        this._startReplay(replay);
+      } catch (e) {
+        console.warn('Could not load replay:', e);
+      }
+    });
+  }
+
+  _downloadReplay() {
+    if (!this.lastReplay) return;
+    const blob = new Blob([serializeReplay(this.lastReplay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cube-dodge-${this.lastReplay.seed}-${this.lastReplay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Optional fixed seed from the URL (?seed=1234 or ?seed=daily-2026-10-18)
+   */
+  _readSeedParam() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    return param ? SeededRandom.parseSeed(param) : null;
+  }
+
   _startGame() {
+    this.replayInput = null;
+    this._startRun(this.seedOverride ?? SeededRandom.randomSeed(), this.difficulty, this.mode);
+    this.recorder.reset(this.sim.seed, GAME_VERSION, this.difficulty, this.mode, this.sim.moves);
+  }
+
+  _startReplay(replay) {
+    this.audio.init();
+    this.audio.resume();
+    this.replayInput = new ReplayInput(replay);
+    this._startRun(replay.seed, replay.difficulty, replay.mode, replay.moves);
+  }
+
+  _startRun(seed, difficulty, mode, moves = null) {
+    this._restoreSkin();
+    this.achievements.enabled = this._isLiveRun();
+    this.sim.start(seed, difficulty, mode, moves);
+    this.fxRng.setSeed(seed ^ 0x9e3779b9);
+
     this.state = STATE.PLAYING;
-    this.score = 0;
-    this.scoreTimer = 0;
-    this.lastMilestone = 0;
     this.shakeIntensity = 0;
     this.shakeDuration = 0;
     this.scoreEl.textContent = '0';
+    this.shardsValueEl.textContent = '0';
+    this.trailDue = 0;
     this.player.reset();
-    this.obstacles.reset();
-    this.powerups.reset();
+    this._syncViews(0);
     this.particles.reset();
+    this.shockwaves.reset();
+    this.accumulator = 0;
     this.clock.start();
+    this.replayBadge.classList.toggle('hidden', !this.replayInput);
+    this.ghost.beginRun(this._isRankedRun() && this.settings.get('showGhost'), difficulty);
+    this.ghostItem.classList.toggle('hidden', !this.ghost.mesh.visible);
+    this._updateGhostDelta(0);
+    this._updateCombo(0, 1);
+    this.livesItem.classList.toggle('hidden', this.sim.mode.lives <= 1);
+    this._updateLives();
     this.menuScreen.classList.add('hidden');
     this.gameOverScreen.classList.add('hidden');
     document.getElementById('hud').classList.remove('hidden');
-    this._hidePowerUpIndicator();
+    this._hidePowerUpIndicators();
   }
 
   _gameOver() {
     this.state = STATE.GAME_OVER;
     this.audio.playHit();
 
-    // Explode the player visually
-    this.particles.spawnExplosion(this.player.position.clone(), 50);
+    // Explode the player visually, in slow motion
+    this.particles.spawnExplosion(this.sim.player.position, 50);
     this._triggerShake(0.5, 0.3);
+    this.sim.clock.slowMotion(0.25, 0.8, 0.6);
 
-    const isNewHigh = this.score > this.highScore;
-    if (isNewHigh) {
-      this.highScore = this.score;
-      localStorage.setItem('cubeDodgeHighScore', this.highScore);
-      this.highScoreEl.textContent = this.highScore;
+    // Play-tests go back to the editor once the death cam has played
+    if (this.playtest) {
+      setTimeout(() => {
+        if (this.playtest) this._endPlaytest(`Hit after ${this.sim.score} points — adjust and retry`);
+      }, 1500);
+      return;
     }
 
-    this.finalScoreEl.textContent = this.score;
+    // Played-back runs don't count towards the high score, and neither do
+    // runs in unranked modes
+    const score = this.sim.score;
+    const run = this.runStats.summary();
+    const ranked = this._isRankedRun();
+    if (!this.replayInput) {
+      this.lifetimeStats.addRun(run);
+      this._bankShards();
+      this.lastReplay = this.recorder.finish(score);
+    }
+    if (ranked) {
+      this.ghost.finishRun(score);
+    } else {
+      this.ghost.hide();
+    }
+    const isNewHigh = ranked && score > this.highScore;
+    this.leaderboardEntry = null;
+    if (ranked) {
+      this.leaderboardEntry = this.leaderboard.add({
+        score,
+        seed: this.sim.seed,
+        duration: Math.round(this.sim.ticks * FIXED_STEP * 10) / 10,
+        mode: this.sim.modeId,
+        difficulty: this.sim.director.presetId,
+        powerups: run.powerups,
+      });
+      this._renderLeaderboard();
+    }
+    if (!this.replayInput) this._renderAchievements();
+
+    // Qualifying runs prompt for initials
+    const entry = this.leaderboardEntry;
+    const unranked = !this.replayInput && !ranked;
+    this.initialsForm.classList.toggle('hidden', !entry);
+    this.rankDisplay.classList.toggle('hidden', !entry && !unranked);
+    if (entry) {
+      this.rankDisplay.textContent = `RANK #${this.leaderboard.rankOf(entry)}`;
+      this.initialsInput.value = '';
+    } else if (unranked) {
+      this.rankDisplay.textContent = `UNRANKED · ${this.sim.mode.label.toUpperCase()} MODE`;
+    }
+
+    this.finalScoreEl.textContent = score;
+    this._renderRunStats(run, this.particles.dropped);
+    this.runSeedEl.textContent = this.sim.seed;
     this.newHighEl.classList.toggle('hidden', !isNewHigh);
+    this.saveReplayBtn.disabled = !this.lastReplay;
+    this.watchReplayBtn.disabled = !this.lastReplay;
     this.gameOverScreen.classList.remove('hidden');
-    this._hidePowerUpIndicator();
+    this._hidePowerUpIndicators();
+    if (entry) this.initialsInput.focus();
+  }
+
+  /**
+   * `effectsCut` is particles dropped this run with the particle pool full
+   */
+  _renderRunStats(run, effectsCut = 0) {
+    const powerups = Object.values(POWERUP_DEFS)
+      .map(def => `${def.hudIcon} ${run.powerups[def.id] || 0}`)
+      .join('  ');
+    const rows = [
+      ['Time', `${run.time.toFixed(1)}s`],
+      ['Distance', `${Math.round(run.distance)}m`],
+      ['Jumps', run.jumps],
+      ['Dodged', run.dodged],
+      ['Shattered', run.shattered],
+      ['Shield Blocks', run.shieldBlocks],
+      ['Extra Lives Used', run.extraLivesUsed],
+      ['Near Misses', run.nearMisses],
+      ['Jump-overs', run.jumpOvers],
+      ['Best Combo', run.bestCombo],
+      ['Power-ups', powerups],
+      ['Shards', `✦ ${run.shards}`],
+      ['Peak Difficulty', `${Math.round(run.peakDifficulty * 100)}%`],
+    ];
+    if (GAME_MODES[run.mode]?.lives > 1) {
+      rows.push(['Lives Lost', run.livesLost], ['Continued', run.continued ? 'Yes' : 'No']);
+    }
+    // Only shown when a pool ran out, which should be rare
+    if (run.spawnsCut > 0) rows.push(['Spawns Cut', run.spawnsCut]);
+    if (effectsCut > 0) rows.push(['Effects Cut', effectsCut]);
+    this.runStatsEl.replaceChildren(...rows.map(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'stat-item';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'stat-label';
+      labelEl.textContent = label;
+      const valueEl = document.createElement('span');
+      valueEl.className = 'stat-value';
+      valueEl.textContent = value;
+      item.append(labelEl, valueEl);
+      return item;
+    }));
+
+    const cause = OBSTACLE_TYPES[run.cause];
+    this.deathCauseEl.textContent = cause ? cause.deathMessage : 'Replay ended';
+
+    const t = this.lifetimeStats.totals;
+    const minutes = Math.floor(t.time / 60);
+    this.lifetimeStatsEl.textContent =
+      `Lifetime — ${t.runs} runs · ${minutes}m ${Math.round(t.time % 60)}s · ` +
+      `${(t.distance / 1000).toFixed(1)}km · ${t.dodged} dodged · ${t.shattered} shattered · ` +
+      `${t.deaths.explosive || 0} explosive deaths · ${t.shards} shards`;
   }
 
   _triggerShake(intensity, duration) {
+    // A weaker shake doesn't cut short a stronger one still running
+    if (this.shakeDuration > 0 && intensity < this.shakeIntensity) return;
     this.shakeIntensity = intensity;
     this.shakeDuration = duration;
   }
@@ -177,17 +1128,19 @@ class Game {
   }
 
   _updateCamera(dt) {
+    const player = this.sim.player;
+
     // Smooth follow player
     const targetPos = new THREE.Vector3(
-      this.player.position.x * 0.5,
-      this.cameraOffset.y + this.player.position.y * 0.3,
+      player.position.x * 0.5,
+      this.cameraOffset.y + player.position.y * 0.3,
       this.cameraOffset.z
     );
     this.camera.position.lerp(targetPos, 0.08);
 
     const lookTarget = new THREE.Vector3(
-      this.player.position.x * 0.3,
-      this.player.position.y + 1,
+      player.position.x * 0.3,
+      player.position.y + 1,
       this.cameraLookOffset.z
     );
     this.camera.lookAt(lookTarget);
@@ -196,116 +1149,187 @@ class Game {
     if (this.shakeDuration > 0) {
       this.shakeDuration -= dt;
       const shake = this.shakeIntensity * (this.shakeDuration / 0.3);
-      this.camera.position.x += (Math.random() - 0.5) * shake;
-      this.camera.position.y += (Math.random() - 0.5) * shake * 0.5;
+      this.camera.position.x += (this.fxRng.next() - 0.5) * shake;
+      this.camera.position.y += (this.fxRng.next() - 0.5) * shake * 0.5;
     }
   }
 
+  // --- Debug overlay ---
+  _setupDebug() {
+    window.addEventListener('keydown', (e) => {
+      if (e.code !== 'Backquote' || e.target instanceof HTMLInputElement) return;
+      this.debug.toggle();
+      this.debug.sync();
+    });
+  }
+
   // --- Power-up HUD ---
-  _showPowerUpIndicator(info) {
-    this.powerupIndicator.classList.remove('hidden', 'shield', 'double', 'shatter');
-    this.powerupTimerFill.classList.remove('shield', 'double', 'shatter');
+  _powerUpIndicator(type) {
+    let indicator = this.powerupIndicators.get(type);
+    if (indicator) return indicator;
 
-    const typeClass = info.type.toLowerCase();
-    this.powerupIndicator.classList.add(typeClass);
-    this.powerupTimerFill.classList.add(typeClass);
+    const def = POWERUP_DEFS[type];
+    const color = `#${def.color.toString(16).padStart(6, '0')}`;
+    const root = document.createElement('div');
+    root.className = 'powerup-indicator hidden';
+    root.style.borderColor = `${color}80`;
+    const icon = document.createElement('span');
+    icon.className = 'powerup-icon';
+    icon.textContent = def.hudIcon;
+    const label = document.createElement('span');
+    label.className = 'powerup-label';
+    label.textContent = def.label;
+    const bar = document.createElement('div');
+    bar.className = 'powerup-timer-bar';
+    const fill = document.createElement('div');
+    fill.className = 'powerup-timer-fill';
+    fill.style.background = color;
+    bar.append(fill);
+    root.append(icon, label, bar);
 
-    const icons = { SHIELD: '🛡️', DOUBLE: '⚡', SHATTER: '💥' };
-    this.powerupIcon.textContent = icons[info.type] || '✦';
-    this.powerupLabel.textContent = info.label;
+    indicator = { root, label, fill, charges: 1 };
+    this.powerupIndicators.set(type, indicator);
+    return indicator;
   }
 
-  _updatePowerUpIndicator(info) {
-    if (!info) {
-      this._hidePowerUpIndicator();
-      return;
+  /**
+   * New power-ups join the bottom of the stack; refreshed ones stay put
+   */
+  _showPowerUpIndicator(type, refreshed) {
+    const { root } = this._powerUpIndicator(type);
+    if (!refreshed) this.powerupIndicatorsEl.append(root);
+    root.classList.remove('hidden');
+  }
+
+  /**
+   * Timed power-ups show the time left; untimed ones a full bar and their
+   * charges when they have more than one
+   */
+  _updatePowerUpIndicators(effects) {
+    for (const effect of effects.values()) {
+      const indicator = this._powerUpIndicator(effect.type);
+      const pct = effect.timeLeft === null ? 100 : Math.max(0, (effect.timeLeft / effect.duration) * 100);
+      indicator.fill.style.width = pct + '%';
+      if (indicator.charges !== effect.charges) {
+        indicator.charges = effect.charges;
+        indicator.label.textContent = effect.charges > 1 ? `${effect.label} ×${effect.charges}` : effect.label;
+      }
     }
-    const config = { SHIELD: 5, DOUBLE: 8, SHATTER: 6 };
-    const maxDuration = config[info.type] || 5;
-    const pct = Math.max(0, (info.timeLeft / maxDuration) * 100);
-    this.powerupTimerFill.style.width = pct + '%';
   }
 
-  _hidePowerUpIndicator() {
-    this.powerupIndicator.classList.add('hidden');
+  _hidePowerUpIndicator(type) {
+    this.powerupIndicators.get(type)?.root.classList.add('hidden');
+  }
+
+  _hidePowerUpIndicators() {
+    for (const { root } of this.powerupIndicators.values()) {
+      root.classList.add('hidden');
+    }
+  }
+
+  // --- Lives HUD ---
+  _updateLives() {
+    const lives = this.sim.lives;
+    if (lives === this.livesShown) return;
+    this.livesShown = lives;
+    this.livesValueEl.textContent = '♥'.repeat(lives);
+  }
+
+  // --- Combo HUD ---
+  _updateCombo(combo, multiplier) {
+    const previous = this.comboShown;
+    this.comboShown = combo;
+    if (combo === 0 && previous > 0 && this.state === STATE.PLAYING) {
+      this.audio.playComboLost();
+    }
+    this.comboItem.classList.toggle('hidden', combo === 0);
+    this.comboValueEl.textContent = combo;
+    this.comboMultiplierEl.textContent = `×${multiplier.toFixed(2)}`;
+
+    // Restart the bump animation on every gain
+    if (combo > previous) {
+      this.comboValueEl.classList.remove('bump');
+      void this.comboValueEl.offsetWidth;
+      this.comboValueEl.classList.add('bump');
+    }
+  }
+
+  // --- Ghost HUD ---
+  _updateGhostDelta(delta) {
+    this.ghostDeltaEl.textContent = delta > 0 ? `+${delta}` : `${delta}`;
+    this.ghostDeltaEl.classList.toggle('ahead', delta > 0);
+    this.ghostDeltaEl.classList.toggle('behind', delta < 0);
   }
 
   // --- Main update ---
-  _update(dt) {
+  _syncViews(dt) {
+    this.player.sync(this.sim.powerups.getActiveEffects(), this.sim.invulnerable);
+    this.obstacles.sync();
+    this.powerups.sync(dt);
+    this.shards.sync();
+    this.debug.sync();
+  }
+
+  /**
+   * Leave the equipped trail's particles behind the cube
+   */
+  _emitTrail(dt) {
+    const trail = this.trail;
+    if (trail.rate === 0) return;
+    let color = trail.color ?? this.player.skin.color;
+    if (color === 'rainbow') {
+      color = this._trailTint.setHSL((this.sim.clock.time * 0.5) % 1, 1, 0.55).getHex();
+    }
+    this.trailDue += dt * trail.rate;
+    for (; this.trailDue >= 1; this.trailDue--) {
+      this.particles.spawnTrail(this.sim.player.position, color, trail, this.sim.trackSpeed);
+    }
+  }
+
+  _update(realDt) {
     if (this.state !== STATE.PLAYING) return;
 
-    // Handle jump
-    if (this.input.consumeJump()) {
-      if (this.player.jump()) {
-        this.audio.playJump();
+    // Input source: live keyboard (recorded) or a replay being played back
+    let controls = this.input;
+    if (this.replayInput) {
+      if (this.replayInput.finished) {
+        // Recording ran out without a hit — the replay desynced
+        this._gameOver();
+        return;
       }
+      this.replayInput.advance();
+      controls = this.replayInput;
     }
 
-    // Difficulty & speed
-    const difficulty = Math.min(this.score / 50, 3);
-    const gameSpeed = 15 + difficulty * 5;
+    const jumpPressed = controls.consumeJump();
+    if (this._isLiveRun()) {
+      this.recorder.record(controls.actions, jumpPressed);
+    }
 
-    // Get active power-up info
-    const activePU = this.powerups.getActiveInfo();
+    // Step the game rules; subscribers react to its events as they fire
+    this.sim.step(realDt, controls.actions, jumpPressed);
+    const dt = this.sim.stepDt;
+    if (this.sim.awaitingContinue) this._offerContinue();
 
-    // Update subsystems
-    this.player.update(dt, this.input.actions, activePU);
-    this.obstacles.update(dt, this.score);
-    this.powerups.update(dt, this.score);
+    this._syncViews(dt);
+    this.player.animate(dt, this.sim.trackSpeed);
+    this._emitTrail(dt);
     this.particles.update(dt);
-    this.environment.update(dt, gameSpeed);
-
-    // --- Score increment ---
-    this.scoreTimer += dt;
-    if (this.scoreTimer >= 0.1) {
-      this.scoreTimer = 0;
-      const points = this.powerups.hasDouble() ? 2 : 1;
-      this.score += points;
-      this.scoreEl.textContent = this.score;
-
-      // Milestone sounds
-      const milestone = Math.floor(this.score / 50);
-      if (milestone > this.lastMilestone) {
-        this.lastMilestone = milestone;
-        this.audio.playMilestone();
-      }
-    }
+    this.shockwaves.update(dt);
+    this.environment.update(dt, this.sim.trackSpeed);
+    if (this.sim.over) return;
 
-    // --- Power-up collision ---
-    const puPickup = this.powerups.checkCollision(this.player.boundingBox);
-    if (puPickup) {
-      this.audio.playPickup();
-      this.particles.spawnPickup(puPickup.position, puPickup.color);
-      this._showPowerUpIndicator(this.powerups.getActiveInfo());
+    if (this.playtest && this.sim.obstacles.idle) {
+      this._endPlaytest(`Cleared! ${this.sim.score} points`);
+      return;
     }
 
     // Update power-up HUD
-    this._updatePowerUpIndicator(this.powerups.getActiveInfo());
-
-    // --- Obstacle collision ---
-    const hit = this.obstacles.checkCollision(this.player.boundingBox);
-    if (hit) {
-      if (this.powerups.hasShatter()) {
-        // SHATTER: destroy the obstacle with particles
-        this.particles.spawnShatter(hit.position, hit.color, 25);
-        this.obstacles.destroyObstacle(hit.obstacle);
-        this.audio.playShatter();
-        this.score += 5; // bonus points for shattering
-        this.scoreEl.textContent = this.score;
-      } else if (this.powerups.hasShield()) {
-        // SHIELD: pass through, destroy obstacle silently
-        this.particles.spawnShatter(hit.position, 0x00ffff, 12);
-        this.obstacles.destroyObstacle(hit.obstacle);
-      } else {
-        // Normal hit or explosive hit
-        if (hit.isExplosive) {
-          this.particles.spawnExplosion(hit.position, 50);
-          this.audio.playExplosion();
-          this._triggerShake(0.8, 0.4);
-        }
-        this._gameOver();
-        return;
-      }
+    this._updatePowerUpIndicators(this.sim.powerups.getActiveEffects());
+
+    // --- Ghost: sample this step and race the personal best ---
+    if (this._isRankedRun()) {
+      this._updateGhostDelta(this.ghost.step(dt, this.sim.player.position, this.sim.score));
     }
 
     // Camera
@@ -316,8 +1340,7 @@ class Game {
     requestAnimationFrame(() => this._animate());
 
     if (this.state === STATE.PLAYING) {
-      const rawDt = this.clock.getDelta();
-      const dt = Math.min(rawDt, 0.1);
+      const dt = Math.min(this.clock.getDelta(), MAX_FRAME_TIME);
 
       this.accumulator += dt;
       while (this.accumulator >= this.fixedTimeStep) {
@@ -327,15 +1350,27 @@ class Game {
 
       // Update particles outside fixed step for smoothness
       // (already updated inside _update, but render interpolation)
+    } else if (this.state === STATE.PAUSED) {
+      // Everything stays frozen; only the resume countdown runs
+      this._updateResumeCountdown(this.clock.getDelta());
+    } else if (this.state === STATE.CONTINUE) {
+      // Frozen too, while the continue offer counts down
+      this._updateContinueCountdown(Math.min(this.clock.getDelta(), MAX_FRAME_TIME));
     } else {
-      // Idle animation for menu / game over
+      // Idle animation for menu / game over (slowed during the death cam)
       this.clock.getDelta();
-      this.environment.update(0.016, 5);
-      this.particles.update(0.016);
-      this.player.mesh.rotation.y += 0.02;
+      const dt = this.sim.clock.tick(0.016);
+      this.environment.update(dt, 5);
+      this.particles.update(dt);
+      this.shockwaves.update(dt);
+      this.player.idle(dt);
+      if (this.state === STATE.GAME_OVER && this.shakeDuration > 0) {
+        this._updateCamera(dt);
+      }
     }
 
     this.renderer.render(this.scene, this.camera);
+    if (this.state === STATE.MENU) this.skinPreview.render();
   }
 }
 
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { DEFAULT_DIFFICULTY } from './core/difficulty.js';
+
+/**
+ * Ghost Runner
+ * Samples the player's x/y path every fixed step and stores the personal
+ * best on each difficulty preset locally; later runs on that preset replay
+ * it as a translucent cube beside the player.
+ */
+
+const STORAGE_KEY = 'cubeDodgeGhost';
+const POSITION_SCALE = 100; // positions are stored as integer centi-units
+const FRAME_STRIDE = 3;     // x, y, score per sample
+const BASE_OPACITY = 0.3;
+const FADE_DISTANCE = 1.5;  // start fading when closer than this to the player
+
+export class Ghost {
+  constructor(scene) {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    this.material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: BASE_OPACITY,
+      depthWrite: false,
+    });
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh.visible = false;
+
+    const edgeGeo = new THREE.EdgesGeometry(geometry);
+    this.edgeMaterial = new THREE.LineBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: BASE_OPACITY * 2,
+    });
+    this.mesh.add(new THREE.LineSegments(edgeGeo, this.edgeMaterial));
+    scene.add(this.mesh);
+
+    this.bests = this._load();  // { [difficulty]: { score, frames } }
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.best = null;           // the ghost raced this run, if any
+    this.frames = [];           // samples of the run in progress
+    this.frameIndex = 0;
+  }
+
+  _load() {
+    const bests = {};
+    try {
+      let data = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+      // A single stored ghost predates difficulty presets: it ran on Normal
+      if (Array.isArray(data.frames)) data = { [DEFAULT_DIFFICULTY]: data };
+      for (const [difficulty, run] of Object.entries(data)) {
+        if (run && Array.isArray(run.frames) && run.frames.length % FRAME_STRIDE === 0) {
+          bests[difficulty] = run;
+        }
+      }
+    } catch (e) {
+      console.warn('Discarding unreadable ghost data:', e);
+    }
+    return bests;
+  }
+
+  get hasGhost() {
+    return this.best !== null;
+  }
+
+  /**
+   * Start a run against the best on its difficulty preset. The ghost only
+   * races live runs, not replays.
+   */
+  beginRun(visible = true, difficulty = DEFAULT_DIFFICULTY) {
+    this.difficulty = difficulty;
+    this.best = this.bests[difficulty] ?? null;
+    this.frames = [];
+    this.frameIndex = 0;
+    this.mesh.visible = visible && this.hasGhost;
+    this.mesh.rotation.set(0, 0, 0);
+  }
+
+  /**
+   * Record the player's sample for this step and advance the ghost.
+   * Returns the live score minus the ghost's score at the same step.
+   */
+  step(dt, playerPosition, score) {
+    this.frames.push(
+      Math.round(playerPosition.x * POSITION_SCALE),
+      Math.round(playerPosition.y * POSITION_SCALE),
+      score
+    );
+
+    if (!this.hasGhost) return 0;
+
+    const frames = this.best.frames;
+    const lastIndex = frames.length / FRAME_STRIDE - 1;
+    const i = Math.min(this.frameIndex, lastIndex) * FRAME_STRIDE;
+    this.frameIndex++;
+
+    // The ghost run is over — it stays at its final score
+    if (this.frameIndex > lastIndex) {
+      this.mesh.visible = false;
+      return score - this.best.score;
+    }
+
+    this.mesh.position.set(frames[i] / POSITION_SCALE, frames[i + 1] / POSITION_SCALE, 0);
+    this.mesh.rotation.y += 0.8 * dt;
+
+    // Fade out while overlapping the real player so it never hides it
+    const dist = Math.hypot(
+      this.mesh.position.x - playerPosition.x,
+      this.mesh.position.y - playerPosition.y
+    );
+    const fade = THREE.MathUtils.clamp(dist / FADE_DISTANCE, 0.15, 1);
+    this.material.opacity = BASE_OPACITY * fade;
+    this.edgeMaterial.opacity = BASE_OPACITY * 2 * fade;
+
+    return score - frames[i + 2];
+  }
+
+  /**
+   * Keep the finished run as the new ghost for its difficulty if it beat
+   * the stored one
+   */
+  finishRun(score) {
+    this.mesh.visible = false;
+    if (this.frames.length === 0 || (this.best && score <= this.best.score)) {
+      return false;
+    }
+    this.best = { score, frames: this.frames };
+    this.bests[this.difficulty] = this.best;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bests));
+    } catch (e) {
+      console.warn('Could not save ghost run:', e);
+    }
+    return true;
+  }
+
+  hide() {
+    this.mesh.visible = false;
+  }
+}
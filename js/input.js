@@ -10,7 +10,9 @@ export class InputManager {
       moveRight: false,
       moveForward: false,
       moveBackward: false,
+      // `jump` is latched on the press until consumed; `jumpHeld` follows the key
       jump: false,
+      jumpHeld: false,
     };
 
     this._jumpPressed = false;
@@ -43,7 +45,15 @@ export class InputManager {
     }
   }
 
+  /**
+   * Keys typed into form fields (e.g. leaderboard initials) aren't game input
+   */
+  _isTyping(e) {
+    return e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement;
+  }
+
   _onKeyDown(e) {
+    if (this._isTyping(e)) return;
     const action = this._mapKey(e.code);
     if (action) {
       e.preventDefault();
@@ -52,6 +62,7 @@ export class InputManager {
           this.actions.jump = true;
           this._jumpPressed = true;
         }
+        this.actions.jumpHeld = true;
       } else {
         this.actions[action] = true;
       }
@@ -64,12 +75,23 @@ export class InputManager {
       e.preventDefault();
       if (action === "jump") {
         this._jumpPressed = false;
+        this.actions.jumpHeld = false;
       } else {
         this.actions[action] = false;
       }
     }
   }
 
+  /**
+   * Release all held actions (keyups are lost while the tab is hidden)
+   */
+  clear() {
+    for (const action in this.actions) {
+      this.actions[action] = false;
+    }
+    this._jumpPressed = false;
+  }
+
   consumeJump() {
     if (this.actions.jump) {
       this.actions.jump = false;
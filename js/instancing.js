@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+/**
+ * Instanced Rendering Helpers
+ * One InstancedMesh draws a whole pool in a single call. Colour per
+ * instance is built in; these helpers add per-instance opacity, and
+ * emissive colour for lit materials, by patching the material's shader to
+ * read two extra instance attributes. Views write the live instances to
+ * the front of the buffers each frame and set `count`, so nothing is
+ * allocated while playing.
+ */
+
+/**
+ * InstancedMesh holding up to `capacity` instances, with `instanceOpacity`
+ * (and `instanceEmissive` when `emissive` is set) alongside instanceColor.
+ * The material's own colour/emissive multiply the per-instance values, so
+ * leave them white.
+ */
+export function createInstancedMesh(geometry, material, capacity, { emissive = false } = {}) {
+  geometry.setAttribute('instanceOpacity',
+    new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(1), 1));
+  if (emissive) {
+    geometry.setAttribute('instanceEmissive',
+      new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3));
+  }
+
+  material.onBeforeCompile = (shader) => {
+    const declarations = [
+      'varying float vInstanceOpacity;',
+      emissive ? 'varying vec3 vInstanceEmissive;' : '',
+    ].join('\n');
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', [
+        '#include <common>',
+        'attribute float instanceOpacity;',
+        emissive ? 'attribute vec3 instanceEmissive;' : '',
+        declarations,
+      ].join('\n'))
+      .replace('#include <begin_vertex>', [
+        '#include <begin_vertex>',
+        'vInstanceOpacity = instanceOpacity;',
+        emissive ? 'vInstanceEmissive = instanceEmissive;' : '',
+      ].join('\n'));
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${declarations}`)
+      .replace('vec4 diffuseColor = vec4( diffuse, opacity );',
+        'vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );');
+    if (emissive) {
+      shader.fragmentShader = shader.fragmentShader.replace(
+        'vec3 totalEmissiveRadiance = emissive;',
+        'vec3 totalEmissiveRadiance = emissive * vInstanceEmissive;'
+      );
+    }
+  };
+
+  // The patch differs with `emissive`, which the default key can't see
+  material.customProgramCacheKey = () => (emissive ? 'instanced-emissive' : 'instanced');
+
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  mesh.count = 0;
+  // Instances move every frame, so a bounding sphere would always be stale
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
+export function setInstanceOpacity(mesh, index, opacity) {
+  mesh.geometry.attributes.instanceOpacity.setX(index, opacity);
+}
+
+/**
+ * Emissive colour (a THREE.Color) times intensity
+ */
+export function setInstanceEmissive(mesh, index, color, intensity) {
+  mesh.geometry.attributes.instanceEmissive.setXYZ(
+    index, color.r * intensity, color.g * intensity, color.b * intensity
+  );
+}
+
+/**
+ * Draw the first `count` instances written this frame
+ */
+export function commitInstances(mesh, count) {
+  mesh.count = count;
+  mesh.instanceMatrix.needsUpdate = true;
+  mesh.instanceColor.needsUpdate = true;
+  const { instanceOpacity, instanceEmissive } = mesh.geometry.attributes;
+  instanceOpacity.needsUpdate = true;
+  if (instanceEmissive) instanceEmissive.needsUpdate = true;
+}
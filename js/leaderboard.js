@@ -0,0 +1,109 @@
+import { DEFAULT_DIFFICULTY } from './core/difficulty.js';
+
+/**
+ * Local Leaderboard
+ * Top-10 runs per difficulty preset with their metadata, persisted to
+ * localStorage. The legacy single high score is migrated in on first load;
+ * it and any entry without a difficulty were set on Normal.
+ */
+
+const STORAGE_KEY = 'cubeDodgeLeaderboard';
+const LEGACY_HIGH_SCORE_KEY = 'cubeDodgeHighScore';
+export const LEADERBOARD_SIZE = 10;
+export const DEFAULT_INITIALS = '---';
+
+export class Leaderboard {
+  constructor() {
+    this.entries = this._load();
+  }
+
+  _load() {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored !== null) {
+      try {
+        const entries = JSON.parse(stored);
+        if (Array.isArray(entries)) return entries;
+      } catch (e) {
+        console.warn('Discarding unreadable leaderboard:', e);
+      }
+      return [];
+    }
+
+    // First run with a leaderboard: carry the old high score over
+    const entries = [];
+    const legacy = parseInt(localStorage.getItem(LEGACY_HIGH_SCORE_KEY)) || 0;
+    if (legacy > 0) {
+      entries.push({
+        score: legacy,
+        initials: DEFAULT_INITIALS,
+        date: null,
+        seed: null,
+        duration: null,
+        mode: 'classic',
+        difficulty: DEFAULT_DIFFICULTY,
+        powerups: {},
+      });
+    }
+    this._save(entries);
+    return entries;
+  }
+
+  _save(entries = this.entries) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  }
+
+  /**
+   * The top runs on one difficulty preset, best first
+   */
+  entriesFor(difficulty) {
+    return this.entries.filter(e => (e.difficulty ?? DEFAULT_DIFFICULTY) === difficulty);
+  }
+
+  highScore(difficulty) {
+    const entries = this.entriesFor(difficulty);
+    return entries.length > 0 ? entries[0].score : 0;
+  }
+
+  qualifies(score, difficulty) {
+    if (score <= 0) return false;
+    const entries = this.entriesFor(difficulty);
+    return entries.length < LEADERBOARD_SIZE ||
+      score > entries[entries.length - 1].score;
+  }
+
+  /**
+   * Insert a run. Returns the stored entry, or null if it didn't place on
+   * its difficulty's board.
+   * entry: { score, seed, duration, mode, difficulty, powerups }
+   */
+  add(entry) {
+    if (!this.qualifies(entry.score, entry.difficulty)) return null;
+    const stored = {
+      initials: DEFAULT_INITIALS,
+      date: new Date().toISOString(),
+      ...entry,
+    };
+    this.entries.push(stored);
+    this.entries.sort((a, b) => b.score - a.score);
+    const dropped = this.entriesFor(entry.difficulty)[LEADERBOARD_SIZE];
+    if (dropped) this.entries.splice(this.entries.indexOf(dropped), 1);
+    this._save();
+    return stored;
+  }
+
+  /**
+   * Attach the player's initials to an entry returned by add()
+   */
+  setInitials(entry, initials) {
+    const clean = initials.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    entry.initials = clean || DEFAULT_INITIALS;
+    this._save();
+  }
+
+  /**
+   * Place of an entry on its difficulty's board, from 1
+   */
+  rankOf(entry) {
+    return this.entriesFor(entry.difficulty ?? DEFAULT_DIFFICULTY).indexOf(entry) + 1;
+  }
+}
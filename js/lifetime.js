@@ -0,0 +1,62 @@
+/**
+ * Lifetime Statistics
+ * Running totals across every run, persisted to localStorage.
+ */
+
+const STORAGE_KEY = 'cubeDodgeLifetimeStats';
+
+function emptyTotals() {
+  return {
+    runs: 0,
+    time: 0,
+    distance: 0,
+    jumps: 0,
+    dodged: 0,
+    shattered: 0,
+    shieldBlocks: 0,
+    extraLivesUsed: 0,
+    shards: 0,
+    powerups: {},
+    deaths: { normal: 0, explosive: 0 },
+    bestScore: 0,
+  };
+}
+
+export class LifetimeStats {
+  constructor() {
+    this.totals = { ...emptyTotals(), ...this._load() };
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      console.warn('Discarding unreadable lifetime stats:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Fold a finished run's summary (RunStats.summary()) into the totals
+   */
+  addRun(run) {
+    const t = this.totals;
+    t.runs++;
+    t.time += run.time;
+    t.distance += run.distance;
+    t.jumps += run.jumps;
+    t.dodged += run.dodged;
+    t.shattered += run.shattered;
+    t.shieldBlocks += run.shieldBlocks;
+    t.extraLivesUsed += run.extraLivesUsed;
+    t.shards += run.shards;
+    for (const [type, count] of Object.entries(run.powerups)) {
+      t.powerups[type] = (t.powerups[type] || 0) + count;
+    }
+    if (run.cause) {
+      t.deaths[run.cause] = (t.deaths[run.cause] || 0) + 1;
+    }
+    t.bestScore = Math.max(t.bestScore, run.score);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(t));
+  }
+}
@@ -1,214 +1,104 @@
 import * as THREE from 'three';
+import { EXPLOSIVE_COLOR } from './core/obstacles.js';
+import {
+  createInstancedMesh,
+  setInstanceOpacity,
+  setInstanceEmissive,
+  commitInstances,
+} from './instancing.js';
 
 /**
- * Obstacle Pool System
- * Object pooling pattern to avoid GC spikes.
- * Supports normal and explosive obstacle types.
+ * Obstacle View
+ * Draws every simulated obstacle through two InstancedMeshes — the cubes
+ * and their pulsing wireframe warning shells — synced from
+ * ObstacleManager. Shape, glow and shell come from the obstacle's type.
  */
 
-const OBSTACLE_COLORS = [
-  0xff0055, // Hot pink
-  0xff6600, // Orange
-  0xffcc00, // Gold
-  0x00ff88, // Mint
-  0x0088ff, // Blue
-  0xff3366, // Rose
-];
-
-const EXPLOSIVE_COLOR = 0xff0000;
-
-class Obstacle {
-  constructor(scene) {
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
-    const material = new THREE.MeshPhongMaterial({
-      color: 0xff0055,
-      emissive: 0xff0055,
-      emissiveIntensity: 0.4,
-      shininess: 80,
-      transparent: true,
-      opacity: 0.85,
-    });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.castShadow = true;
-    this.mesh.visible = false;
-    this.active = false;
-    this.speed = 0;
-    this.isExplosive = false;
-    this.rotSpeed = new THREE.Vector3();
-    this.boundingBox = new THREE.Box3();
-
-    // Explosive warning indicator (pulsing inner glow)
-    const warningGeo = new THREE.BoxGeometry(1.4, 1.4, 1.4);
-    const warningMat = new THREE.MeshBasicMaterial({
-      color: EXPLOSIVE_COLOR,
-      transparent: true,
-      opacity: 0,
-      wireframe: true,
-    });
-    this.warningMesh = new THREE.Mesh(warningGeo, warningMat);
-    this.mesh.add(this.warningMesh);
-
-    scene.add(this.mesh);
-  }
-
-  activate(x, z, speed, explosive = false) {
-    this.mesh.position.set(x, 0.6 + Math.random() * 1.5, z);
-    this.mesh.visible = true;
-    this.active = true;
-    this.speed = speed;
-    this.isExplosive = explosive;
-
-    if (explosive) {
-      // Explosive: red/orange pulsing cube
-      this.mesh.material.color.setHex(EXPLOSIVE_COLOR);
-      this.mesh.material.emissive.setHex(0xcc3300);
-      this.mesh.material.emissiveIntensity = 0.8;
-      this.warningMesh.material.opacity = 0.3;
-      const scale = 0.9 + Math.random() * 0.3;
-      this.mesh.scale.set(scale, scale, scale);
-    } else {
-      // Normal: random color
-      const colorIndex = Math.floor(Math.random() * OBSTACLE_COLORS.length);
-      this.mesh.material.color.setHex(OBSTACLE_COLORS[colorIndex]);
-      this.mesh.material.emissive.setHex(OBSTACLE_COLORS[colorIndex]);
-      this.mesh.material.emissiveIntensity = 0.4;
-      this.warningMesh.material.opacity = 0;
-      const scale = 0.7 + Math.random() * 0.7;
-      this.mesh.scale.set(scale, scale, scale);
-    }
-
-    // Randomize rotation speed
-    this.rotSpeed.set(
-      (Math.random() - 0.5) * 4,
-      (Math.random() - 0.5) * 4,
-      (Math.random() - 0.5) * 4
+// Track units before detonation at which explosives start pulsing faster
+const FUSE_WARNING_DISTANCE = 30;
+const EXPLOSIVE_EMISSIVE = 0xcc3300;
+
+export class ObstacleView {
+  constructor(scene, manager, clock) {
+    this.manager = manager;
+    this.clock = clock;
+    // Sized for the pool's cap, so growing the pool never rebuilds these
+    const capacity = manager.poolCapacity;
+
+    this.bodies = createInstancedMesh(
+      new THREE.BoxGeometry(1, 1, 1),
+      new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        emissive: 0xffffff,
+        shininess: 80,
+        transparent: true,
+      }),
+      capacity,
+      { emissive: true }
     );
+    this.bodies.castShadow = true;
+    scene.add(this.bodies);
+
+    // Warning indicator (pulsing wireframe shell)
+    this.shells = createInstancedMesh(
+      new THREE.BoxGeometry(1.4, 1.4, 1.4),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, wireframe: true }),
+      capacity
+    );
+    scene.add(this.shells);
+
+    // Scratch objects reused every frame
+    this._matrix = new THREE.Matrix4();
+    this._position = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._euler = new THREE.Euler();
+    this._scale = new THREE.Vector3();
+    this._color = new THREE.Color();
+    this._emissive = new THREE.Color();
   }
 
-  deactivate() {
-    this.mesh.visible = false;
-    this.active = false;
-    this.isExplosive = false;
-  }
-
-  update(dt) {
-    if (!this.active) return;
-    this.mesh.position.z += this.speed * dt;
-    this.mesh.rotation.x += this.rotSpeed.x * dt;
-    this.mesh.rotation.y += this.rotSpeed.y * dt;
-    this.mesh.rotation.z += this.rotSpeed.z * dt;
-
-    // Explosive pulsing
-    if (this.isExplosive) {
-      const pulse = 0.2 + Math.sin(Date.now() * 0.01) * 0.15;
-      this.warningMesh.material.opacity = pulse;
-      this.mesh.material.emissiveIntensity = 0.6 + Math.sin(Date.now() * 0.008) * 0.3;
-    }
-
-    this.boundingBox.setFromObject(this.mesh);
-  }
-
-  getColor() {
-    return this.mesh.material.color.getHex();
-  }
-}
-
-export class ObstacleManager {
-  constructor(scene, poolSize = 40) {
-    this.scene = scene;
-    this.pool = [];
-    this.spawnTimer = 0;
-    this.spawnInterval = 1.2;
-    this.baseSpeed = 15;
-    this.spawnZ = -80;
-    this.despawnZ = 10;
-    this.trackWidth = 10;
-
-    for (let i = 0; i < poolSize; i++) {
-      this.pool.push(new Obstacle(scene));
-    }
-  }
-
-  _getInactive() {
-    return this.pool.find(o => !o.active) || null;
-  }
-
-  _spawnObstacle(speed, forceExplosive = false) {
-    const obstacle = this._getInactive();
-    if (!obstacle) return;
-
-    const halfTrack = this.trackWidth / 2 - 1;
-    const x = (Math.random() * 2 - 1) * halfTrack;
-
-    // 15% chance of explosive, or forced
-    const explosive = forceExplosive || Math.random() < 0.15;
-    obstacle.activate(x, this.spawnZ, speed, explosive);
-  }
-
-  update(dt, score) {
-    const difficulty = Math.min(score / 50, 3);
-    const currentSpeed = this.baseSpeed + difficulty * 5;
-    const currentInterval = Math.max(0.3, this.spawnInterval - difficulty * 0.25);
-
-    this.spawnTimer += dt;
-    if (this.spawnTimer >= currentInterval) {
-      this.spawnTimer = 0;
-      this._spawnObstacle(currentSpeed);
-
-      if (difficulty > 1 && Math.random() < 0.3) {
-        this._spawnObstacle(currentSpeed);
-      }
-      if (difficulty > 2.5 && Math.random() < 0.2) {
-        this._spawnObstacle(currentSpeed);
-      }
-    }
-
-    for (const obstacle of this.pool) {
-      if (!obstacle.active) continue;
-      obstacle.update(dt);
-      if (obstacle.mesh.position.z > this.despawnZ) {
-        obstacle.deactivate();
-      }
-    }
-  }
+  sync() {
+    const time = this.clock.time;
+    const { bodies, shells } = this;
+    let bodyCount = 0;
+    let shellCount = 0;
 
-  /**
-   * Check collision with player. Returns collision info or null.
-   * { obstacle, isExplosive, position, color }
-   */
-  checkCollision(playerBBox) {
-    for (const obstacle of this.pool) {
+    for (const obstacle of this.manager.pool) {
       if (!obstacle.active) continue;
-      if (playerBBox.intersectsBox(obstacle.boundingBox)) {
-        return {
-          obstacle,
-          isExplosive: obstacle.isExplosive,
-          position: obstacle.mesh.position.clone(),
-          color: obstacle.getColor(),
-        };
+      const { position, rotation, size } = obstacle;
+      const visual = obstacle.def.visual;
+
+      this._position.set(position.x, position.y, position.z);
+      this._quaternion.setFromEuler(this._euler.set(rotation.x, rotation.y, rotation.z));
+      this._scale.set(size.x * 2, size.y * 2, size.z * 2);
+      this._matrix.compose(this._position, this._quaternion, this._scale);
+
+      // Explosives pulse faster as their fuse runs down
+      const urgency = Math.max(0, Math.min(1, 1 - obstacle.fuseLeft / FUSE_WARNING_DISTANCE));
+      const rate = 1 + urgency * 2;
+      const intensity = visual.pulse
+        ? visual.emissive + Math.sin(time * 8 * rate) * 0.3
+        : visual.emissive;
+
+      this._color.setHex(obstacle.color);
+      // Explosive: red/orange pulsing cube
+      this._emissive.setHex(obstacle.isExplosive ? EXPLOSIVE_EMISSIVE : obstacle.color);
+      bodies.setMatrixAt(bodyCount, this._matrix);
+      bodies.setColorAt(bodyCount, this._color);
+      setInstanceOpacity(bodies, bodyCount, visual.opacity);
+      setInstanceEmissive(bodies, bodyCount, this._emissive, intensity);
+      bodyCount++;
+
+      if (visual.shell) {
+        this._color.setHex(obstacle.isExplosive ? EXPLOSIVE_COLOR : obstacle.color);
+        shells.setMatrixAt(shellCount, this._matrix);
+        shells.setColorAt(shellCount, this._color);
+        setInstanceOpacity(shells, shellCount, 0.2 + Math.sin(time * 10 * rate) * 0.15 + urgency * 0.3);
+        shellCount++;
       }
     }
-    return null;
-  }
-
-  /**
-   * Destroy an obstacle (used by SHATTER power-up)
-   */
-  destroyObstacle(obstacle) {
-    obstacle.deactivate();
-  }
 
-  /**
-   * Get all active obstacles near player for shatter radius check
-   */
-  getActiveObstacles() {
-    return this.pool.filter(o => o.active);
-  }
-
-  reset() {
-    for (const obstacle of this.pool) {
-      obstacle.deactivate();
-    }
-    this.spawnTimer = 0;
+    commitInstances(bodies, bodyCount);
+    commitInstances(shells, shellCount);
   }
 }
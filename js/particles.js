@@ -1,81 +1,145 @@
 import * as THREE from 'three';
+import { createInstancedMesh, setInstanceOpacity, commitInstances } from './instancing.js';
+import { ShrinkSchedule } from './core/pool.js';
 
 /**
  * Particle Effects System
- * Object-pooled particles for shatter, explosion, and power-up effects.
+ * Pooled particles for shatter, explosion, spark, split, power-up and
+ * player move effects. Particle state lives in flat typed arrays and every live
+ * particle is drawn through one InstancedMesh; free slots are kept on a
+ * stack, so spawning and updating allocate nothing. A busy moment doubles
+ * the pool (up to a cap) and it trims back once things calm down.
  */
 
-class Particle {
-  constructor(scene) {
-    const geometry = new THREE.BoxGeometry(0.15, 0.15, 0.15);
-    const material = new THREE.MeshBasicMaterial({
-      color: 0xffffff,
-      transparent: true,
-      opacity: 1,
-    });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.visible = false;
-    this.active = false;
-    this.velocity = new THREE.Vector3();
-    this.life = 0;
-    this.maxLife = 1;
+const BASE_SIZE = 0.15;
+const GRAVITY = 15;
+const EXPLOSION_COLORS = [0xff3300, 0xff6600, 0xffcc00, 0xff0000];
+
+// Per-particle arrays and how many floats each particle takes in them
+const FIELDS = [
+  ['position', 3], ['velocity', 3], ['spin', 2], ['color', 3],
+  ['life', 1], ['maxLife', 1], ['size', 1],
+];
+
+export class ParticleSystem {
+  /**
+   * Starts with room for `poolSize` particles and doubles on demand up to
+   * `maxPoolSize`; particles beyond that are dropped and counted
+   */
+  constructor(scene, rng, poolSize = 2000, maxPoolSize = 8000) {
     this.scene = scene;
-    scene.add(this.mesh);
-  }
+    this.rng = rng;
+    this.baseCapacity = poolSize;
+    this.maxCapacity = Math.max(poolSize, maxPoolSize);
+    this.capacity = 0;
+    this.mesh = null;
+    // Particles dropped at the cap since the last reset
+    this.dropped = 0;
+    this._shrink = new ShrinkSchedule(poolSize);
 
-  activate(position, velocity, color, life = 1, size = 0.15) {
-    this.mesh.position.copy(position);
-    this.velocity.copy(velocity);
-    this.mesh.material.color.setHex(color);
-    this.mesh.material.opacity = 1;
-    this.mesh.scale.setScalar(size / 0.15);
-    this.mesh.visible = true;
-    this.active = true;
-    this.life = life;
-    this.maxLife = life;
-  }
+    // Scratch objects reused every frame
+    this._matrix = new THREE.Matrix4();
+    this._translation = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._euler = new THREE.Euler();
+    this._scale = new THREE.Vector3();
+    this._tint = new THREE.Color();
 
-  deactivate() {
-    this.mesh.visible = false;
-    this.active = false;
+    this._resize(poolSize);
   }
 
-  update(dt) {
-    if (!this.active) return;
-
-    // Move
-    this.mesh.position.add(this.velocity.clone().multiplyScalar(dt));
+  get activeCount() {
+    return this._liveCount;
+  }
 
-    // Gravity
-    this.velocity.y -= 15 * dt;
+  /**
+   * Reallocate the arrays and mesh for `capacity` particles, packing the
+   * live ones into the first slots. Only runs when the pool grows or
+   * trims, never per particle.
+   */
+  _resize(capacity) {
+    const old = this.capacity > 0 ? this : null;
+    const liveCount = old ? this._liveCount : 0;
 
-    // Spin
-    this.mesh.rotation.x += 8 * dt;
-    this.mesh.rotation.z += 6 * dt;
+    // Per-particle state, indexed by slot
+    const next = {};
+    for (const [name, width] of FIELDS) {
+      next[name] = new Float32Array(capacity * width);
+      for (let n = 0; n < liveCount; n++) {
+        const i = old._live[n];
+        next[name].set(old[name].subarray(i * width, (i + 1) * width), n * width);
+      }
+    }
+    Object.assign(this, next);
+    this.capacity = capacity;
 
-    // Fade
-    this.life -= dt;
-    const t = Math.max(0, this.life / this.maxLife);
-    this.mesh.material.opacity = t;
-    this.mesh.scale.setScalar(t * (this.mesh.scale.x / Math.max(t, 0.01)));
+    // Free slots (a stack) and live slots (unordered; removal swaps the last in)
+    this._free = new Int32Array(capacity);
+    this._freeCount = 0;
+    for (let i = capacity - 1; i >= liveCount; i--) {
+      this._free[this._freeCount++] = i;
+    }
+    this._live = new Int32Array(capacity);
+    for (let n = 0; n < liveCount; n++) this._live[n] = n;
+    this._liveCount = liveCount;
 
-    if (this.life <= 0) {
-      this.deactivate();
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
     }
+    this.mesh = createInstancedMesh(
+      new THREE.BoxGeometry(BASE_SIZE, BASE_SIZE, BASE_SIZE),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true }),
+      capacity
+    );
+    this.scene.add(this.mesh);
   }
-}
 
-export class ParticleSystem {
-  constructor(scene, poolSize = 200) {
-    this.scene = scene;
-    this.pool = [];
-    for (let i = 0; i < poolSize; i++) {
-      this.pool.push(new Particle(scene));
+  /**
+   * Start one particle, growing the pool if it's full; dropped (and
+   * counted) once the pool is at its cap
+   */
+  _emit(position, vx, vy, vz, color, life, size) {
+    if (this._freeCount === 0) {
+      if (this.capacity >= this.maxCapacity) {
+        this.dropped++;
+        return;
+      }
+      this._resize(Math.min(this.capacity * 2, this.maxCapacity));
     }
+    const i = this._free[--this._freeCount];
+    this._live[this._liveCount++] = i;
+    this._shrink.note(this._liveCount);
+
+    this.position[i * 3] = position.x;
+    this.position[i * 3 + 1] = position.y;
+    this.position[i * 3 + 2] = position.z;
+    this.velocity[i * 3] = vx;
+    this.velocity[i * 3 + 1] = vy;
+    this.velocity[i * 3 + 2] = vz;
+    this.spin[i * 2] = 0;
+    this.spin[i * 2 + 1] = 0;
+    this._tint.setHex(color);
+    this.color[i * 3] = this._tint.r;
+    this.color[i * 3 + 1] = this._tint.g;
+    this.color[i * 3 + 2] = this._tint.b;
+    this.life[i] = life;
+    this.maxLife[i] = life;
+    this.size[i] = size;
   }
 
-  _getInactive() {
-    return this.pool.find(p => !p.active) || null;
+  /**
+   * When a trim is due (ShrinkSchedule), halve a grown pool while the
+   * recent peak would still fit, never going below the starting size
+   */
+  _trim(dt) {
+    const needed = this._shrink.update(dt, this._liveCount);
+    if (needed === null) return;
+    let capacity = this.capacity;
+    while (capacity / 2 >= needed) capacity /= 2;
+    capacity = Math.max(Math.ceil(capacity), this.baseCapacity);
+    if (capacity < this.capacity) this._resize(capacity);
   }
 
   /**
@@ -83,16 +147,11 @@ export class ParticleSystem {
    */
   spawnShatter(position, color = 0xff0055, count = 20) {
     for (let i = 0; i < count; i++) {
-      const p = this._getInactive();
-      if (!p) break;
-
-      const vel = new THREE.Vector3(
-        (Math.random() - 0.5) * 12,
-        Math.random() * 8 + 2,
-        (Math.random() - 0.5) * 12
-      );
-      const size = 0.08 + Math.random() * 0.15;
-      p.activate(position.clone(), vel, color, 0.8 + Math.random() * 0.5, size);
+      const vx = (this.rng.next() - 0.5) * 12;
+      const vy = this.rng.next() * 8 + 2;
+      const vz = (this.rng.next() - 0.5) * 12;
+      const size = 0.08 + this.rng.next() * 0.15;
+      this._emit(position, vx, vy, vz, color, 0.8 + this.rng.next() * 0.5, size);
     }
   }
 
@@ -100,22 +159,57 @@ export class ParticleSystem {
    * Explosion effect — larger, more violent burst
    */
   spawnExplosion(position, count = 40) {
-    const colors = [0xff3300, 0xff6600, 0xffcc00, 0xff0000];
     for (let i = 0; i < count; i++) {
-      const p = this._getInactive();
-      if (!p) break;
-
-      const angle = Math.random() * Math.PI * 2;
-      const upAngle = Math.random() * Math.PI * 0.6;
-      const force = 6 + Math.random() * 10;
-      const vel = new THREE.Vector3(
-        Math.cos(angle) * Math.sin(upAngle) * force,
-        Math.cos(upAngle) * force + 3,
-        Math.sin(angle) * Math.sin(upAngle) * force
-      );
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      const size = 0.1 + Math.random() * 0.25;
-      p.activate(position.clone(), vel, color, 0.6 + Math.random() * 0.6, size);
+      const angle = this.rng.next() * Math.PI * 2;
+      const upAngle = this.rng.next() * Math.PI * 0.6;
+      const force = 6 + this.rng.next() * 10;
+      const vx = Math.cos(angle) * Math.sin(upAngle) * force;
+      const vy = Math.cos(upAngle) * force + 3;
+      const vz = Math.sin(angle) * Math.sin(upAngle) * force;
+      const color = this.rng.pick(EXPLOSION_COLORS);
+      const size = 0.1 + this.rng.next() * 0.25;
+      this._emit(position, vx, vy, vz, color, 0.6 + this.rng.next() * 0.6, size);
+    }
+  }
+
+  /**
+   * Sparks — fast, flat, short-lived streaks for solid obstacles
+   */
+  spawnSparks(position, color, count = 24) {
+    for (let i = 0; i < count; i++) {
+      const angle = this.rng.next() * Math.PI * 2;
+      const force = 10 + this.rng.next() * 8;
+      const vx = Math.cos(angle) * force;
+      const vy = this.rng.next() * 4 + 1;
+      const vz = Math.sin(angle) * force;
+      const tint = this.rng.chance(0.5) ? 0xffffff : color;
+      this._emit(position, vx, vy, vz, tint, 0.3 + this.rng.next() * 0.2, 0.06);
+    }
+  }
+
+  /**
+   * Split effect — a burst along the track's width as the cube breaks in two
+   */
+  spawnSplit(position, color, count = 20) {
+    for (let i = 0; i < count; i++) {
+      const side = i % 2 === 0 ? -1 : 1;
+      const vx = side * (6 + this.rng.next() * 6);
+      const vy = this.rng.next() * 5 + 2;
+      const vz = (this.rng.next() - 0.5) * 4;
+      const size = 0.1 + this.rng.next() * 0.15;
+      this._emit(position, vx, vy, vz, color, 0.6 + this.rng.next() * 0.4, size);
+    }
+  }
+
+  /**
+   * Break effect for an obstacle type (see OBSTACLE_TYPES `effect`)
+   */
+  spawnObstacleEffect(effect, position, color) {
+    switch (effect) {
+      case 'explosion': this.spawnExplosion(position, 50); break;
+      case 'sparks': this.spawnSparks(position, color); break;
+      case 'split': this.spawnSplit(position, color); break;
+      default: this.spawnShatter(position, color, 25);
     }
   }
 
@@ -124,27 +218,117 @@ export class ParticleSystem {
    */
   spawnPickup(position, color, count = 15) {
     for (let i = 0; i < count; i++) {
-      const p = this._getInactive();
-      if (!p) break;
-
-      const vel = new THREE.Vector3(
-        (Math.random() - 0.5) * 6,
-        Math.random() * 6 + 3,
-        (Math.random() - 0.5) * 6
-      );
-      p.activate(position.clone(), vel, color, 0.5 + Math.random() * 0.3, 0.1);
+      const vx = (this.rng.next() - 0.5) * 6;
+      const vy = this.rng.next() * 6 + 3;
+      const vz = (this.rng.next() - 0.5) * 6;
+      this._emit(position, vx, vy, vz, color, 0.5 + this.rng.next() * 0.3, 0.1);
+    }
+  }
+
+  /**
+   * Jump puff — a flat ring kicked out under the cube; wider for a jump
+   * made in the air
+   */
+  spawnJumpPuff(position, color, double = false, count = 14) {
+    const force = double ? 7 : 4;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2 + this.rng.next() * 0.3;
+      const vx = Math.cos(angle) * force;
+      const vy = double ? -2 : 1;
+      const vz = Math.sin(angle) * force;
+      this._emit(position, vx, vy, vz, color, 0.3 + this.rng.next() * 0.2, 0.08);
+    }
+  }
+
+  /**
+   * Dash streak — a spray flung back against the dash `direction`
+   */
+  spawnDashStreak(position, color, direction, count = 18) {
+    for (let i = 0; i < count; i++) {
+      const vx = -direction * (8 + this.rng.next() * 10);
+      const vy = this.rng.next() * 3;
+      const vz = (this.rng.next() - 0.5) * 3;
+      const tint = this.rng.chance(0.3) ? 0xffffff : color;
+      this._emit(position, vx, vy, vz, tint, 0.2 + this.rng.next() * 0.2, 0.07);
+    }
+  }
+
+  /**
+   * Slide sparks — low, fast scrapes thrown back from under the cube
+   */
+  spawnSlideSparks(position, color, count = 16) {
+    for (let i = 0; i < count; i++) {
+      const vx = (this.rng.next() - 0.5) * 6;
+      const vy = this.rng.next() * 3 + 1;
+      const vz = 6 + this.rng.next() * 8;
+      const tint = this.rng.chance(0.5) ? 0xffcc66 : color;
+      this._emit(position, vx, vy, vz, tint, 0.25 + this.rng.next() * 0.2, 0.06);
     }
   }
 
+  /**
+   * One trail particle (cosmetics.js TRAILS) left at the player, carried
+   * back down the track at `speed`. It leaves with enough lift to hang in
+   * the air against gravity, plus the trail's own rise.
+   */
+  spawnTrail(position, color, trail, speed) {
+    const life = trail.life * (0.7 + this.rng.next() * 0.6);
+    const vx = (this.rng.next() - 0.5) * trail.spread * 4;
+    const vy = GRAVITY * life * 0.5 + trail.rise * (0.5 + this.rng.next() * 0.5);
+    const vz = speed * (0.9 + this.rng.next() * 0.2);
+    this._emit(position, vx, vy, vz, color, life, trail.size);
+  }
+
   update(dt) {
-    for (const p of this.pool) {
-      if (p.active) p.update(dt);
+    this._trim(dt);
+    const { position, velocity, spin, life } = this;
+    const mesh = this.mesh;
+
+    let n = 0;
+    while (n < this._liveCount) {
+      const i = this._live[n];
+      life[i] -= dt;
+      if (life[i] <= 0) {
+        // Retire: swap the last live slot into this one and revisit it
+        this._live[n] = this._live[--this._liveCount];
+        this._free[this._freeCount++] = i;
+        continue;
+      }
+
+      // Move, fall and spin
+      position[i * 3] += velocity[i * 3] * dt;
+      position[i * 3 + 1] += velocity[i * 3 + 1] * dt;
+      position[i * 3 + 2] += velocity[i * 3 + 2] * dt;
+      velocity[i * 3 + 1] -= GRAVITY * dt;
+      spin[i * 2] += 8 * dt;
+      spin[i * 2 + 1] += 6 * dt;
+
+      this._translation.set(position[i * 3], position[i * 3 + 1], position[i * 3 + 2]);
+      this._quaternion.setFromEuler(this._euler.set(spin[i * 2], 0, spin[i * 2 + 1]));
+      this._scale.setScalar(this.size[i] / BASE_SIZE);
+      this._matrix.compose(this._translation, this._quaternion, this._scale);
+      mesh.setMatrixAt(n, this._matrix);
+      this._tint.setRGB(this.color[i * 3], this.color[i * 3 + 1], this.color[i * 3 + 2]);
+      mesh.setColorAt(n, this._tint);
+      // Fade
+      setInstanceOpacity(mesh, n, life[i] / this.maxLife[i]);
+      n++;
     }
+    commitInstances(mesh, this._liveCount);
   }
 
   reset() {
-    for (const p of this.pool) {
-      p.deactivate();
+    this._liveCount = 0;
+    if (this.capacity > this.baseCapacity) {
+      this._resize(this.baseCapacity);
+    } else {
+      this._freeCount = 0;
+      for (let i = this.capacity - 1; i >= 0; i--) {
+        this._free[this._freeCount++] = i;
+      }
     }
+    this.dropped = 0;
+    this._shrink.reset();
+    commitInstances(this.mesh, 0);
   }
 }
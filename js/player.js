@@ -1,49 +1,74 @@
 import * as THREE from 'three';
+import { SKINS } from './skinTypes.js';
+import { SKIN_GEOMETRIES, GLOW_SHAPES, EMISSIVE_PATTERNS } from './skins/api.js';
+import { TrailRibbon } from './ribbon.js';
 
 /**
- * Player Cube Entity
- * Handles lateral movement, jump physics, visual appearance,
- * and power-up visual states (invincibility, shatter).
+ * Player Cube View
+ * Visual appearance of the simulated PlayerBody: the equipped skin
+ * (skins/api.js), built from its definition along with its trail ribbon,
+ * its power-up looks, which each power-up defines (`playerVisuals`) and
+ * which are blended when several are active at once, and the squash,
+ * stretch and flips of its moves.
  */
-export class Player {
-  constructor(scene) {
-    // Track boundaries
-    this.trackWidth = 10;
-
-    // Movement
-    this.moveSpeed = 12;
-
-    // Jump physics
-    this.jumpForce = 12;
-    this.gravity = 30;
-    this.velocityY = 0;
-    this.isGrounded = true;
-    this.groundY = 0.6;
-
-    // Create mesh
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
-    this.baseMaterial = new THREE.MeshPhongMaterial({
-      color: 0x00ffff,
-      emissive: 0x006666,
-      emissiveIntensity: 0.8,
-      shininess: 100,
-      transparent: true,
-      opacity: 0.9,
-    });
-    this.mesh = new THREE.Mesh(geometry, this.baseMaterial);
-    this.mesh.position.set(0, this.groundY, 0);
+
+/**
+ * Lit body material for a skin. A skin with a `shader` gets it patched in
+ * after the glow is worked out, fed by `userData.time`.
+ */
+function createSkinMaterial(skin) {
+  const material = new THREE.MeshPhongMaterial({
+    color: skin.color,
+    emissive: skin.emissive,
+    emissiveIntensity: 0.8,
+    shininess: 100,
+    transparent: true,
+    opacity: 0.9,
+  });
+  if (!skin.shader) return material;
+
+  material.userData.time = { value: 0 };
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uTime = material.userData.time;
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nvarying vec3 vSkinPosition;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvSkinPosition = position;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying vec3 vSkinPosition;\nuniform float uTime;')
+      .replace('vec3 totalEmissiveRadiance = emissive;',
+        `vec3 totalEmissiveRadiance = emissive;\n${skin.shader.emissive}`);
+  };
+  // Each skin's patch differs, which the default key can't see
+  material.customProgramCacheKey = () => `skin-${skin.id}`;
+  return material;
+}
+
+// Track speed the ribbon streams back at on the menu
+const IDLE_RIBBON_SPEED = 5;
+
+// Seconds each one-off move animation (playMove) runs
+const MOVE_DURATIONS = { jump: 0.25, double: 0.4, dash: 0.25 };
+
+export class PlayerView {
+  constructor(scene, body, clock, skin = SKINS[0]) {
+    this.body = body;
+    // Game time source for animation
+    this.clock = clock;
+
+    // Body and glow shell, rebuilt by setSkin
+    this.baseMaterial = createSkinMaterial(skin);
+    this.mesh = new THREE.Mesh(SKIN_GEOMETRIES[skin.geometry](), this.baseMaterial);
+    this.mesh.position.copy(body.position);
     this.mesh.castShadow = true;
     this.mesh.receiveShadow = true;
     scene.add(this.mesh);
 
-    // Glow effect (slightly larger translucent cube)
-    const glowGeometry = new THREE.BoxGeometry(1.3, 1.3, 1.3);
     this.glowMaterial = new THREE.MeshBasicMaterial({
-      color: 0x00ffff,
+      color: skin.color,
       transparent: true,
-      opacity: 0.15,
+      opacity: skin.glow.opacity,
     });
-    this.glow = new THREE.Mesh(glowGeometry, this.glowMaterial);
+    this.glow = new THREE.Mesh(GLOW_SHAPES[skin.glow.shape](), this.glowMaterial);
     this.mesh.add(this.glow);
 
     // Shield sphere (shown during invincibility)
@@ -57,130 +82,210 @@ export class Player {
     this.shield = new THREE.Mesh(shieldGeo, this.shieldMaterial);
     this.mesh.add(this.shield);
 
-    // Collision bounding box
-    this.boundingBox = new THREE.Box3();
+    // Motion trail, lying in the world rather than following the cube
+    this.ribbon = new TrailRibbon(scene);
+    this.ribbon.setStyle(skin.ribbon ?? null, skin.color);
+
+    this.skin = skin;
+
+    // One-off move animation playing, and when it started (game time)
+    this.move = null;
+    this.moveDirection = 0;
+    this.moveStart = 0;
 
-    // Store base colors for reset
-    this._baseColor = 0x00ffff;
-    this._baseEmissive = 0x006666;
+    // Scratch colours for blending effects
+    this._emissive = new THREE.Color();
+    this._glow = new THREE.Color();
+    this._tint = new THREE.Color();
   }
 
-  update(dt, inputActions, activePowerUp = null) {
-    // Lateral movement
-    if (inputActions.moveLeft) {
-      this.mesh.position.x -= this.moveSpeed * dt;
-    }
-    if (inputActions.moveRight) {
-      this.mesh.position.x += this.moveSpeed * dt;
-    }
+  /**
+   * Wear another skin (skinTypes.js SKINS), rebuilding the body, glow and
+   * ribbon from its definition
+   */
+  setSkin(skin) {
+    if (skin === this.skin) return;
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = SKIN_GEOMETRIES[skin.geometry]();
+    this.baseMaterial.dispose();
+    this.baseMaterial = createSkinMaterial(skin);
+    this.mesh.material = this.baseMaterial;
+    this.glow.geometry.dispose();
+    this.glow.geometry = GLOW_SHAPES[skin.glow.shape]();
+    this.ribbon.setStyle(skin.ribbon ?? null, skin.color);
+    this.skin = skin;
+    this.reset();
+  }
 
-    // Clamp to track boundaries
-    const halfTrack = this.trackWidth / 2 - 0.5;
-    this.mesh.position.x = THREE.MathUtils.clamp(
-      this.mesh.position.x,
-      -halfTrack,
-      halfTrack
-    );
-
-    // Jump physics
-    if (!this.isGrounded) {
-      this.velocityY -= this.gravity * dt;
-      this.mesh.position.y += this.velocityY * dt;
-      if (this.mesh.position.y <= this.groundY) {
-        this.mesh.position.y = this.groundY;
-        this.velocityY = 0;
-        this.isGrounded = true;
-      }
+  /**
+   * Advance the skin's shader and the ribbon, which is carried back at the
+   * track's `speed`
+   */
+  animate(dt, speed) {
+    if (this.baseMaterial.userData.time) {
+      this.baseMaterial.userData.time.value = this.clock.time;
     }
+    this.ribbon.update(dt, this.mesh.position, speed);
+  }
 
-    // Visual rotation animation
-    this.mesh.rotation.y += 0.8 * dt;
-    this.mesh.rotation.x = Math.sin(Date.now() * 0.002) * 0.1;
+  /**
+   * Slow spin with the skin's own glow, for the menu
+   */
+  idle(dt) {
+    this.mesh.rotation.y += dt * 1.2;
+    this._updatePowerUpVisuals(null);
+    this.animate(dt, IDLE_RIBBON_SPEED);
+  }
 
-    // Power-up visual effects
-    this._updatePowerUpVisuals(activePowerUp);
+  /**
+   * The skin's own glow, animated by its emissive pattern
+   */
+  _applySkinEmissive() {
+    const emissive = this.baseMaterial.emissive.setHex(this.skin.emissive);
+    this.baseMaterial.emissiveIntensity = EMISSIVE_PATTERNS[this.skin.pattern](this.clock.time, emissive);
+  }
 
-    // Update bounding box
-    this.boundingBox.setFromObject(this.mesh);
-    this.boundingBox.expandByScalar(-0.1);
+  /**
+   * Copy the body's transform and apply power-up visuals for the running
+   * effects (PowerUpManager.getActiveEffects()). The cube blinks while
+   * `invulnerable` seconds are left after a respawn.
+   */
+  sync(effects = null, invulnerable = 0) {
+    this.mesh.position.copy(this.body.position);
+    this.mesh.rotation.set(this.body.rotation.x, this.body.rotation.y, this.body.rotation.z);
+    this.mesh.visible = invulnerable <= 0 || Math.sin(invulnerable * 40) > 0;
+    this._updatePowerUpVisuals(effects);
+    this._applyMoveAnimation();
   }
 
-  _updatePowerUpVisuals(activePowerUp) {
-    if (!activePowerUp) {
-      // Reset to base
-      this.baseMaterial.color.setHex(this._baseColor);
-      this.baseMaterial.emissive.setHex(this._baseEmissive);
-      this.baseMaterial.emissiveIntensity = 0.8;
-      this.glowMaterial.color.setHex(this._baseColor);
-      this.glowMaterial.opacity = 0.12 + Math.sin(Date.now() * 0.005) * 0.05;
+  /**
+   * Play a move's animation: 'jump', 'double' (a jump in the air) or
+   * 'dash' towards `direction`. Sliding follows the body instead.
+   */
+  playMove(move, direction = 0) {
+    this.move = move;
+    this.moveDirection = direction;
+    this.moveStart = this.clock.time;
+  }
+
+  /**
+   * Layer the move animation over the body's pose. Scales multiply the
+   * power-up scale, so a shrunk cube still squashes.
+   */
+  _applyMoveAnimation() {
+    const scale = this.mesh.scale;
+    // Slide: flattened and spread out for as long as the body slides
+    const height = this.body.heightScale;
+    if (height < 1) {
+      const spread = 1 + (1 - height) * 0.6;
+      scale.x *= spread;
+      scale.y *= height;
+      scale.z *= spread;
+    }
+
+    if (!this.move) return;
+    const k = (this.clock.time - this.moveStart) / MOVE_DURATIONS[this.move];
+    if (k >= 1) {
+      this.move = null;
+      return;
+    }
+    const left = 1 - k;
+    if (this.move === 'jump') {
+      // Stretch up off the ground
+      scale.x *= 1 - 0.15 * left;
+      scale.y *= 1 + 0.3 * left;
+      scale.z *= 1 - 0.15 * left;
+    } else if (this.move === 'double') {
+      // Forward flip, easing out
+      this.mesh.rotation.x -= Math.PI * 2 * (1 - left * left);
+    } else if (this.move === 'dash') {
+      // Flattened and leaning into the dash
+      scale.x *= 1 + 0.3 * left;
+      scale.y *= 1 - 0.25 * left;
+      scale.z *= 1 + 0.3 * left;
+      this.mesh.rotation.z = -this.moveDirection * 0.4 * left;
+    }
+  }
+
+  /**
+   * Blend every running effect's `playerVisuals` (powerups/api.js):
+   * emissive and glow colours are averaged, intensities, opacities and
+   * shrinking take the strongest, and each effect blinks on its own as it
+   * runs out
+   */
+  _updatePowerUpVisuals(effects) {
+    if (!effects || effects.size === 0) {
+      // Reset to the skin
+      this.mesh.scale.setScalar(1);
+      this.baseMaterial.color.setHex(this.skin.color);
+      this._applySkinEmissive();
+      this.glowMaterial.color.setHex(this.skin.color);
+      const { opacity, pulse } = this.skin.glow;
+      this.glowMaterial.opacity = opacity + Math.sin(this.clock.time * 5) * pulse;
       this.shieldMaterial.opacity = 0;
       return;
     }
 
-    const t = Date.now();
-
-    switch (activePowerUp.type) {
-      case 'SHIELD':
-        // Cyan shield bubble + rapid pulse
-        this.shieldMaterial.opacity = 0.15 + Math.sin(t * 0.008) * 0.1;
-        this.shield.rotation.y += 0.03;
-        this.shield.rotation.x += 0.02;
-        this.glowMaterial.color.setHex(0x00ffff);
-        this.glowMaterial.opacity = 0.2 + Math.sin(t * 0.006) * 0.1;
-        // Blink when about to expire
-        if (activePowerUp.timeLeft < 1.5) {
-          this.shieldMaterial.opacity *= (Math.sin(t * 0.03) > 0 ? 1 : 0.2);
-        }
-        break;
-
-      case 'DOUBLE':
-        // Gold glow
-        this.baseMaterial.emissive.setHex(0xaa8800);
-        this.baseMaterial.emissiveIntensity = 0.8 + Math.sin(t * 0.006) * 0.3;
-        this.glowMaterial.color.setHex(0xffcc00);
-        this.glowMaterial.opacity = 0.2 + Math.sin(t * 0.005) * 0.08;
-        this.shieldMaterial.opacity = 0;
-        if (activePowerUp.timeLeft < 2) {
-          this.baseMaterial.emissiveIntensity *= (Math.sin(t * 0.03) > 0 ? 1 : 0.3);
-        }
-        break;
-
-      case 'SHATTER':
-        // Red/orange aggressive glow
-        this.baseMaterial.emissive.setHex(0xcc3300);
-        this.baseMaterial.emissiveIntensity = 1.0 + Math.sin(t * 0.008) * 0.4;
-        this.glowMaterial.color.setHex(0xff3300);
-        this.glowMaterial.opacity = 0.25 + Math.sin(t * 0.007) * 0.1;
-        this.shieldMaterial.opacity = 0;
-        if (activePowerUp.timeLeft < 1.5) {
-          this.baseMaterial.emissiveIntensity *= (Math.sin(t * 0.03) > 0 ? 1 : 0.3);
-        }
-        break;
+    const t = this.clock.time * 1000;
+    const blinkOff = Math.sin(t * 0.03) <= 0;
+    const emissive = this._emissive.setRGB(0, 0, 0);
+    const glow = this._glow.setRGB(0, 0, 0);
+    let emissiveCount = 0;
+    const glowCount = effects.size;
+    let intensity = 0;
+    let glowOpacity = 0;
+    let shieldOpacity = 0;
+    let scale = 1;
+
+    for (const effect of effects.values()) {
+      const look = effect.def.playerVisuals;
+      const fading = blinkOff && effect.timeLeft !== null && effect.timeLeft < look.warnAt;
+
+      if (look.shield) {
+        // Shield bubble + rapid pulse
+        shieldOpacity = (0.15 + Math.sin(t * 0.008) * 0.1) * (fading ? 0.2 : 1);
+        this.shieldMaterial.color.setHex(look.glow);
+      }
+      if (look.emissive !== undefined) {
+        emissive.add(this._tint.setHex(look.emissive));
+        emissiveCount++;
+        const pulse = look.intensity + Math.sin(t * look.rate) * look.swing;
+        intensity = Math.max(intensity, pulse * (fading ? 0.3 : 1));
+      }
+      if (look.scale !== undefined) scale = Math.min(scale, look.scale);
+      glow.add(this._tint.setHex(look.glow));
+      glowOpacity = Math.max(glowOpacity, look.glowOpacity + Math.sin(t * look.glowRate) * look.glowSwing);
     }
-  }
 
-  jump() {
-    if (this.isGrounded) {
-      this.velocityY = this.jumpForce;
-      this.isGrounded = false;
-      return true;
+    this.mesh.scale.setScalar(scale);
+    this.baseMaterial.color.setHex(this.skin.color);
+    if (emissiveCount > 0) {
+      this.baseMaterial.emissive.copy(emissive.multiplyScalar(1 / emissiveCount));
+      this.baseMaterial.emissiveIntensity = intensity;
+    } else {
+      this._applySkinEmissive();
+    }
+    this.glowMaterial.color.copy(glow.multiplyScalar(1 / glowCount));
+    this.glowMaterial.opacity = glowOpacity;
+    this.shieldMaterial.opacity = shieldOpacity;
+    if (shieldOpacity > 0) {
+      this.shield.rotation.y += 0.03;
+      this.shield.rotation.x += 0.02;
     }
-    return false;
   }
 
   reset() {
-    this.mesh.position.set(0, this.groundY, 0);
-    this.velocityY = 0;
-    this.isGrounded = true;
+    this.mesh.position.copy(this.body.position);
     this.mesh.rotation.set(0, 0, 0);
-    this.baseMaterial.color.setHex(this._baseColor);
-    this.baseMaterial.emissive.setHex(this._baseEmissive);
+    this.mesh.scale.setScalar(1);
+    this.mesh.visible = true;
+    this.move = null;
+    this.baseMaterial.color.setHex(this.skin.color);
+    this.baseMaterial.emissive.setHex(this.skin.emissive);
     this.baseMaterial.emissiveIntensity = 0.8;
-    this.glowMaterial.color.setHex(this._baseColor);
+    this.glowMaterial.color.setHex(this.skin.color);
+    this.glowMaterial.opacity = this.skin.glow.opacity;
     this.shieldMaterial.opacity = 0;
-  }
-
-  get position() {
-    return this.mesh.position;
+    this.ribbon.reset();
   }
 }
@@ -1,39 +1,13 @@
 import * as THREE from 'three';
+import { POWERUP_DEFS } from './core/powerups.js';
 
 /**
- * Power-Up System
- * Types: SHIELD (invincibility), DOUBLE (2x score), SHATTER (destroy obstacles on touch)
- * Spawns periodically on the track, collected on player collision.
+ * Power-Up View
+ * One pooled diamond-and-ring mesh per simulated power-up,
+ * synced from PowerUpManager.
  */
 
-export const POWERUP_TYPES = {
-  SHIELD: 'SHIELD',     // Invincibility — hasarsızlık
-  DOUBLE: 'DOUBLE',     // 2x score — 2x puan
-  SHATTER: 'SHATTER',   // Destroy on touch — paramparça etme
-};
-
-const POWERUP_CONFIG = {
-  [POWERUP_TYPES.SHIELD]: {
-    color: 0x00ffff,
-    emissive: 0x006688,
-    duration: 5,
-    label: '🛡️ SHIELD',
-  },
-  [POWERUP_TYPES.DOUBLE]: {
-    color: 0xffcc00,
-    emissive: 0x886600,
-    duration: 8,
-    label: '⚡ 2X SCORE',
-  },
-  [POWERUP_TYPES.SHATTER]: {
-    color: 0xff3300,
-    emissive: 0x881100,
-    duration: 6,
-    label: '💥 SHATTER',
-  },
-};
-
-class PowerUp {
+class PowerUpMesh {
   constructor(scene) {
     // Diamond-shaped (rotated cube)
     const geometry = new THREE.OctahedronGeometry(0.5, 0);
@@ -48,7 +22,6 @@ class PowerUp {
     this.mesh = new THREE.Mesh(geometry, material);
     this.mesh.castShadow = true;
     this.mesh.visible = false;
-    this.active = false;
     this.type = null;
 
     // Glow ring
@@ -61,37 +34,26 @@ class PowerUp {
     this.ring = new THREE.Mesh(ringGeo, ringMat);
     this.mesh.add(this.ring);
 
-    this.boundingBox = new THREE.Box3();
-    this.baseY = 1.2;
     scene.add(this.mesh);
   }
 
-  activate(x, z, speed, type) {
-    const config = POWERUP_CONFIG[type];
-    this.type = type;
-    this.mesh.position.set(x, this.baseY, z);
-    this.mesh.visible = true;
-    this.active = true;
-    this.speed = speed;
-
-    // Apply type color
-    this.mesh.material.color.setHex(config.color);
-    this.mesh.material.emissive.setHex(config.emissive);
-    this.ring.material.color.setHex(config.color);
-  }
-
-  deactivate() {
-    this.mesh.visible = false;
-    this.active = false;
-    this.type = null;
-  }
+  sync(powerUp, dt, time) {
+    this.mesh.visible = powerUp.active;
+    if (!powerUp.active) {
+      this.type = null;
+      return;
+    }
 
-  update(dt) {
-    if (!this.active) return;
-    this.mesh.position.z += this.speed * dt;
+    // Apply type color when the pooled slot is reused
+    if (this.type !== powerUp.type) {
+      const def = POWERUP_DEFS[powerUp.type];
+      this.type = powerUp.type;
+      this.mesh.material.color.setHex(def.color);
+      this.mesh.material.emissive.setHex(def.emissive);
+      this.ring.material.color.setHex(def.color);
+    }
 
-    // Float animation
-    this.mesh.position.y = this.baseY + Math.sin(Date.now() * 0.004) * 0.3;
+    this.mesh.position.copy(powerUp.position);
 
     // Spin
     this.mesh.rotation.y += 3 * dt;
@@ -99,119 +61,30 @@ class PowerUp {
     this.ring.rotation.z += 1.5 * dt;
 
     // Pulse ring
-    const pulse = 0.3 + Math.sin(Date.now() * 0.006) * 0.15;
-    this.ring.material.opacity = pulse;
-
-    this.boundingBox.setFromObject(this.mesh);
-    this.boundingBox.expandByScalar(0.2); // slightly generous pickup
+    this.ring.material.opacity = 0.3 + Math.sin(time * 6) * 0.15;
   }
 }
 
-export class PowerUpManager {
-  constructor(scene, poolSize = 10) {
+export class PowerUpView {
+  constructor(scene, manager, clock) {
     this.scene = scene;
-    this.pool = [];
-    this.spawnTimer = 0;
-    this.spawnInterval = 8; // seconds between spawn attempts
-    this.spawnZ = -80;
-    this.despawnZ = 10;
-    this.trackWidth = 10;
-
-    // Active power-up state
-    this.activePowerUp = null;  // { type, timeLeft }
-
-    for (let i = 0; i < poolSize; i++) {
-      this.pool.push(new PowerUp(scene));
-    }
-  }
-
-  _getInactive() {
-    return this.pool.find(p => !p.active) || null;
-  }
-
-  _randomType() {
-    const types = Object.values(POWERUP_TYPES);
-    return types[Math.floor(Math.random() * types.length)];
+    this.manager = manager;
+    this.clock = clock;
+    this.meshes = manager.pool.map(() => new PowerUpMesh(scene));
   }
 
-  update(dt, score) {
-    const difficulty = Math.min(score / 50, 3);
-    const currentSpeed = 15 + difficulty * 5;
-
-    // Spawn timer
-    this.spawnTimer += dt;
-    const interval = Math.max(5, this.spawnInterval - difficulty * 0.5);
-    if (this.spawnTimer >= interval) {
-      this.spawnTimer = 0;
-      if (Math.random() < 0.6) { // 60% chance to spawn
-        const pu = this._getInactive();
-        if (pu) {
-          const halfTrack = this.trackWidth / 2 - 1;
-          const x = (Math.random() * 2 - 1) * halfTrack;
-          pu.activate(x, this.spawnZ, currentSpeed, this._randomType());
-        }
-      }
+  sync(dt) {
+    const pool = this.manager.pool;
+    // The pool grows during busy stretches; meshes past a trimmed pool hide
+    while (this.meshes.length < pool.length) {
+      this.meshes.push(new PowerUpMesh(this.scene));
     }
-
-    // Update pool
-    for (const pu of this.pool) {
-      if (!pu.active) continue;
-      pu.update(dt);
-      if (pu.mesh.position.z > this.despawnZ) {
-        pu.deactivate();
-      }
+    for (let i = pool.length; i < this.meshes.length; i++) {
+      this.meshes[i].mesh.visible = false;
+      this.meshes[i].type = null;
     }
-
-    // Tick active power-up duration
-    if (this.activePowerUp) {
-      this.activePowerUp.timeLeft -= dt;
-      if (this.activePowerUp.timeLeft <= 0) {
-        this.activePowerUp = null;
-      }
-    }
-  }
-
-  checkCollision(playerBBox) {
-    for (const pu of this.pool) {
-      if (!pu.active) continue;
-      if (playerBBox.intersectsBox(pu.boundingBox)) {
-        const type = pu.type;
-        const config = POWERUP_CONFIG[type];
-        pu.deactivate();
-        // Activate power-up
-        this.activePowerUp = {
-          type,
-          timeLeft: config.duration,
-          label: config.label,
-          color: config.color,
-        };
-        return { type, color: config.color, position: pu.mesh.position.clone() };
-      }
-    }
-    return null;
-  }
-
-  hasShield() {
-    return this.activePowerUp?.type === POWERUP_TYPES.SHIELD;
-  }
-
-  hasDouble() {
-    return this.activePowerUp?.type === POWERUP_TYPES.DOUBLE;
-  }
-
-  hasShatter() {
-    return this.activePowerUp?.type === POWERUP_TYPES.SHATTER;
-  }
-
-  getActiveInfo() {
-    return this.activePowerUp;
-  }
-
-  reset() {
-    for (const pu of this.pool) {
-      pu.deactivate();
+    for (let i = 0; i < pool.length; i++) {
+      this.meshes[i].sync(pool[i], dt, this.clock.time);
     }
-    this.activePowerUp = null;
-    this.spawnTimer = 0;
   }
 }
@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+
+/**
+ * Skin Preview
+ * Close-up of the idle player cube on the menu, drawn into its own small
+ * canvas by a second renderer from the game's scene, so the preview shows
+ * the skin under the track's own lights and theme.
+ */
+
+// Where the camera sits relative to the cube
+const CAMERA_OFFSET = new THREE.Vector3(1.6, 1.1, 2.6);
+
+export class SkinPreview {
+  constructor(canvas, scene, target) {
+    this.canvas = canvas;
+    this.scene = scene;
+    // Object the camera frames (the player mesh)
+    this.target = target;
+
+    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    this.renderer.toneMappingExposure = 1.2;
+
+    this.camera = new THREE.PerspectiveCamera(40, 1, 0.1, 50);
+    this.width = 0;
+    this.height = 0;
+    this._resize();
+  }
+
+  // Canvas is sized by CSS; match the drawing buffer to it
+  _resize() {
+    const { clientWidth: width, clientHeight: height } = this.canvas;
+    if (width === 0 || height === 0) return;
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    this.renderer.setSize(width, height, false);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+
+  render() {
+    this._resize();
+    const position = this.target.position;
+    this.camera.position.copy(position).add(CAMERA_OFFSET);
+    this.camera.lookAt(position);
+    this.renderer.render(this.scene, this.camera);
+  }
+}
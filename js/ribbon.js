@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+
+/**
+ * Trail Ribbon
+ * Flat ribbon streaming behind the player cube, styled by the skin
+ * (skins/api.js `ribbon`). A point is laid at the cube every step; points
+ * already laid are carried back with the track, and the ribbon narrows
+ * and fades towards its tail. Blended additively, so fading to black
+ * fades it out.
+ */
+
+// Longest ribbon any skin may ask for
+const MAX_POINTS = 48;
+
+export class TrailRibbon {
+  constructor(scene) {
+    this.style = null;
+    this.color = new THREE.Color();
+    // Laid points, head first: x, y, z
+    this.points = new Float32Array(MAX_POINTS * 3);
+    this.count = 0;
+
+    // Two vertices per point, either side of the ribbon's centre line
+    const positions = new Float32Array(MAX_POINTS * 2 * 3);
+    const colors = new Float32Array(MAX_POINTS * 2 * 3);
+    const indices = [];
+    for (let i = 0; i < MAX_POINTS - 1; i++) {
+      const a = i * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setIndex(indices);
+    geometry.setDrawRange(0, 0);
+
+    this.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    }));
+    // Rebuilt every step, so a bounding sphere would always be stale
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+    scene.add(this.mesh);
+  }
+
+  /**
+   * Ribbon look (skins/api.js RibbonStyle), or null for none. `color` is
+   * used when the style doesn't set its own.
+   */
+  setStyle(style, color) {
+    this.style = style;
+    this.color.setHex(style?.color ?? color);
+    this.mesh.visible = style !== null;
+    this.reset();
+  }
+
+  /**
+   * Carry the ribbon back `speed` track units per second and lay a new
+   * point at `head`
+   */
+  update(dt, head, speed) {
+    const style = this.style;
+    if (!style) return;
+    const points = this.points;
+    const length = Math.min(style.length, MAX_POINTS);
+
+    this.count = Math.min(this.count + 1, length);
+    for (let i = this.count - 1; i > 0; i--) {
+      points[i * 3] = points[(i - 1) * 3];
+      points[i * 3 + 1] = points[(i - 1) * 3 + 1];
+      points[i * 3 + 2] = points[(i - 1) * 3 + 2] + speed * dt;
+    }
+    points[0] = head.x;
+    points[1] = head.y;
+    points[2] = head.z;
+    this._build();
+  }
+
+  _build() {
+    const { points, count, style } = this;
+    const geometry = this.mesh.geometry;
+    const positions = geometry.attributes.position.array;
+    const colors = geometry.attributes.color.array;
+
+    for (let i = 0; i < count; i++) {
+      // Sideways across the direction of travel, in the track plane
+      const prev = Math.max(i - 1, 0);
+      const next = Math.min(i + 1, count - 1);
+      let dx = points[next * 3] - points[prev * 3];
+      let dz = points[next * 3 + 2] - points[prev * 3 + 2];
+      const len = Math.hypot(dx, dz);
+      if (len > 1e-6) {
+        dx /= len;
+        dz /= len;
+      } else {
+        dx = 0;
+        dz = 1;
+      }
+
+      const fade = count > 1 ? 1 - i / (count - 1) : 1;
+      const half = style.width * 0.5 * fade;
+      const x = points[i * 3];
+      const y = points[i * 3 + 1];
+      const z = points[i * 3 + 2];
+      const v = i * 6;
+      positions[v] = x - dz * half;
+      positions[v + 1] = y;
+      positions[v + 2] = z + dx * half;
+      positions[v + 3] = x + dz * half;
+      positions[v + 4] = y;
+      positions[v + 5] = z - dx * half;
+
+      const brightness = fade * style.opacity;
+      for (let side = 0; side < 6; side += 3) {
+        colors[v + side] = this.color.r * brightness;
+        colors[v + side + 1] = this.color.g * brightness;
+        colors[v + side + 2] = this.color.b * brightness;
+      }
+    }
+
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    geometry.setDrawRange(0, Math.max(count - 1, 0) * 6);
+  }
+
+  reset() {
+    this.count = 0;
+    this.mesh.geometry.setDrawRange(0, 0);
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Player Settings
+ * Small set of preferences persisted to localStorage.
+ */
+
+const STORAGE_KEY = 'cubeDodgeSettings';
+
+const DEFAULTS = {
+  volume: 0.3,
+  showGhost: true,
+  difficulty: 'normal',
+  mode: 'classic',
+};
+
+export class Settings {
+  constructor() {
+    this.values = { ...DEFAULTS, ...this._load() };
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      console.warn('Discarding unreadable settings:', e);
+      return {};
+    }
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    this.values[key] = value;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+  }
+}
@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { SHARD_COLOR, SHARD_RADIUS } from './core/shards.js';
+import { createInstancedMesh, setInstanceOpacity, commitInstances } from './instancing.js';
+
+/**
+ * Shard View
+ * Draws every simulated shard as a small spinning crystal through one
+ * InstancedMesh, synced from ShardManager.
+ */
+
+export class ShardView {
+  constructor(scene, manager, clock) {
+    this.manager = manager;
+    this.clock = clock;
+
+    // Sized for the pool's cap, so growing the pool never rebuilds it
+    this.mesh = createInstancedMesh(
+      new THREE.OctahedronGeometry(SHARD_RADIUS, 0),
+      new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        emissive: SHARD_COLOR,
+        emissiveIntensity: 0.7,
+        shininess: 120,
+        transparent: true,
+      }),
+      manager.poolCapacity
+    );
+    scene.add(this.mesh);
+
+    // Scratch objects reused every frame
+    this._matrix = new THREE.Matrix4();
+    this._position = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._euler = new THREE.Euler();
+    this._scale = new THREE.Vector3(1, 1.4, 1);
+    this._color = new THREE.Color(SHARD_COLOR);
+  }
+
+  sync() {
+    const time = this.clock.time;
+    const mesh = this.mesh;
+    let count = 0;
+
+    for (const shard of this.manager.pool) {
+      if (!shard.active) continue;
+      const { x, y, z } = shard.position;
+      // Spin and bob, offset along the formation so a line ripples
+      this._position.set(x, y + Math.sin(time * 5 + z * 0.5) * 0.1, z);
+      this._quaternion.setFromEuler(this._euler.set(0, time * 3 + z * 0.3, 0));
+      this._matrix.compose(this._position, this._quaternion, this._scale);
+      mesh.setMatrixAt(count, this._matrix);
+      mesh.setColorAt(count, this._color);
+      setInstanceOpacity(mesh, count, 0.9);
+      count++;
+    }
+
+    commitInstances(mesh, count);
+  }
+}
@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+
+/**
+ * Shockwave Rings
+ * Pooled flat rings that race out to a blast's radius along the track and
+ * fade, so players can see how far an explosion reached.
+ */
+
+const DURATION = 0.45;
+const START_FRACTION = 0.15;  // ring starts at this share of the radius
+
+class Shockwave {
+  constructor(scene) {
+    const geometry = new THREE.RingGeometry(0.85, 1, 48);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffaa33,
+      transparent: true,
+      opacity: 0,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.rotation.x = -Math.PI / 2;
+    this.mesh.visible = false;
+    this.active = false;
+    this.age = 0;
+    this.radius = 1;
+    scene.add(this.mesh);
+  }
+
+  activate(position, radius) {
+    // Lie on the track below the blast, a little above it to avoid z-fighting
+    this.mesh.position.set(position.x, 0.05, position.z);
+    this.radius = radius;
+    this.age = 0;
+    this.active = true;
+    this.mesh.visible = true;
+    this.update(0);
+  }
+
+  deactivate() {
+    this.active = false;
+    this.mesh.visible = false;
+  }
+
+  update(dt) {
+    this.age += dt;
+    const t = Math.min(this.age / DURATION, 1);
+    // Ease out: fast at first, settling at the blast radius
+    const eased = 1 - (1 - t) * (1 - t);
+    this.mesh.scale.setScalar(this.radius * (START_FRACTION + (1 - START_FRACTION) * eased));
+    this.mesh.material.opacity = 0.9 * (1 - t);
+    if (t >= 1) this.deactivate();
+  }
+}
+
+export class ShockwaveView {
+  constructor(scene, poolSize = 8) {
+    this.pool = [];
+    for (let i = 0; i < poolSize; i++) {
+      this.pool.push(new Shockwave(scene));
+    }
+  }
+
+  spawn(position, radius) {
+    const ring = this.pool.find(r => !r.active);
+    if (ring) ring.activate(position, radius);
+  }
+
+  update(dt) {
+    for (const ring of this.pool) {
+      if (ring.active) ring.update(dt);
+    }
+  }
+
+  reset() {
+    for (const ring of this.pool) {
+      ring.deactivate();
+    }
+  }
+}
@@ -0,0 +1,146 @@
+import { COSMETIC_KINDS } from './cosmetics.js';
+
+/**
+ * Cosmetics Shop
+ * Screen off the menu where banked shards buy player skins, trails and
+ * track themes (cosmetics.js). Owned items are equipped with a click and
+ * take effect straight away; the Wallet persists both.
+ */
+
+const RAINBOW = 'linear-gradient(90deg, #ff0044, #ffcc00, #33ff66, #00ccff, #aa44ff)';
+
+function hex(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+export class Shop {
+  /**
+   * @param {import('./wallet.js').Wallet} wallet
+   * @param {{ onEquip: (kind: string, item: Object) => void, onClose: () => void }} callbacks
+   */
+  constructor(wallet, { onEquip, onClose }) {
+    this.wallet = wallet;
+    this.onEquip = onEquip;
+    this.onClose = onClose;
+    this.isOpen = false;
+    this.kind = Object.keys(COSMETIC_KINDS)[0];
+
+    // DOM references
+    this.screen = document.getElementById('shop-screen');
+    this.balanceEl = document.getElementById('shop-balance');
+    this.tabsEl = document.getElementById('shop-tabs');
+    this.itemsEl = document.getElementById('shop-items');
+    this.statusEl = document.getElementById('shop-status');
+
+    this._setupControls();
+  }
+
+  _setupControls() {
+    // The shop covers the menu overlay, so keep clicks from starting a run
+    this.screen.addEventListener('click', (e) => e.stopPropagation());
+
+    this.tabs = Object.entries(COSMETIC_KINDS).map(([kind, { label }]) => {
+      const button = document.createElement('button');
+      button.className = 'btn';
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.kind = kind;
+        this.statusEl.textContent = '';
+        this.render();
+      });
+      return button;
+    });
+    this.tabsEl.replaceChildren(...this.tabs);
+
+    document.getElementById('shop-back-btn').addEventListener('click', () => this.onClose());
+    window.addEventListener('keydown', (e) => {
+      if (!this.isOpen || e.code !== 'Escape') return;
+      e.preventDefault();
+      this.onClose();
+    });
+  }
+
+  open() {
+    this.isOpen = true;
+    this.statusEl.textContent = '';
+    this.screen.classList.remove('hidden');
+    this.render();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.screen.classList.add('hidden');
+  }
+
+  /**
+   * CSS background previewing an item
+   */
+  _swatch(kind, item) {
+    if (kind === 'skins') {
+      return `radial-gradient(circle, ${hex(item.color)} 35%, ${hex(item.emissive)} 100%)`;
+    }
+    if (kind === 'trails') {
+      if (item.rate === 0) return 'transparent';
+      if (item.color === 'rainbow') return RAINBOW;
+      const color = hex(item.color ?? this.wallet.equipped('skins').color);
+      return `linear-gradient(90deg, transparent, ${color})`;
+    }
+    const [left, right] = item.walls.map(hex);
+    return `linear-gradient(90deg, ${left} 0 8%, ${item.ground} 8% 92%, ${right} 92%)`;
+  }
+
+  _select(item) {
+    const { wallet, kind } = this;
+    if (!wallet.owns(kind, item.id)) {
+      if (!wallet.buy(kind, item.id)) {
+        this.statusEl.textContent = `${item.label} needs ${item.price - wallet.shards} more shards`;
+        return;
+      }
+      this.statusEl.textContent = `Bought ${item.label}`;
+    }
+    wallet.equip(kind, item.id);
+    this.onEquip(kind, item);
+    this.render();
+  }
+
+  render() {
+    const { wallet, kind } = this;
+    this.balanceEl.textContent = wallet.shards;
+    Object.keys(COSMETIC_KINDS).forEach((id, i) => {
+      this.tabs[i].classList.toggle('selected', id === kind);
+    });
+
+    const equipped = wallet.equipped(kind).id;
+    this.itemsEl.replaceChildren(...COSMETIC_KINDS[kind].items.map((item) => {
+      const owned = wallet.owns(kind, item.id);
+      const li = document.createElement('li');
+      li.className = 'shop-item';
+      li.classList.toggle('equipped', item.id === equipped);
+
+      const swatch = document.createElement('span');
+      swatch.className = 'shop-swatch';
+      swatch.style.background = this._swatch(kind, item);
+      const label = document.createElement('span');
+      label.className = 'shop-label';
+      label.textContent = item.label;
+
+      const button = document.createElement('button');
+      button.className = 'btn';
+      button.type = 'button';
+      if (item.id === equipped) {
+        button.textContent = 'Equipped';
+        button.disabled = true;
+      } else if (owned) {
+        button.textContent = 'Equip';
+      } else {
+        button.textContent = `✦ ${item.price}`;
+        button.classList.toggle('unaffordable', !wallet.canAfford(kind, item.id));
+      }
+      button.addEventListener('click', () => this._select(item));
+
+      li.append(swatch, label, button);
+      return li;
+    }));
+  }
+}
@@ -0,0 +1,15 @@
+import { CYAN } from './skins/cyan.js';
+import { EMBER } from './skins/ember.js';
+import { TOXIC } from './skins/toxic.js';
+import { ROYAL } from './skins/royal.js';
+import { CIRCUIT } from './skins/circuit.js';
+import { VOID } from './skins/void.js';
+import { PRISM } from './skins/prism.js';
+import { PLASMA } from './skins/plasma.js';
+
+/**
+ * Skin Registry
+ * Every player skin definition (see skins/api.js), in shop order. The
+ * first is the default look.
+ */
+export const SKINS = [CYAN, EMBER, TOXIC, ROYAL, CIRCUIT, VOID, PRISM, PLASMA];
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+
+/**
+ * Skin Definition API
+ * Every player skin is one plain object in its own file in this folder,
+ * listed in skinTypes.js. PlayerView builds the cube from a definition when
+ * it is created and rebuilds it whenever another skin is put on, so a new
+ * skin needs nothing else. Skins are looks only; the collision box is the
+ * same whatever the shape.
+ *
+ * @typedef {Object} SkinDefinition
+ * @property {string} id  saved in the wallet
+ * @property {string} label  shop and menu name
+ * @property {number} price  shards; 0 is owned from the start
+ * @property {string} geometry  body shape, a SKIN_GEOMETRIES key
+ * @property {number} color  body colour
+ * @property {number} emissive  body glow colour
+ * @property {string} pattern  how the glow animates, an EMISSIVE_PATTERNS key
+ * @property {GlowStyle} glow
+ * @property {SkinShader} [shader]
+ * @property {RibbonStyle} [ribbon]
+ *
+ * @typedef {Object} GlowStyle  translucent shell around the body
+ * @property {string} shape  a GLOW_SHAPES key
+ * @property {number} opacity
+ * @property {number} pulse  how far the opacity swings either way
+ *
+ * @typedef {Object} SkinShader  animated surface, patched into the body's
+ *   lit material. `emissive` is GLSL run after the glow is worked out; it
+ *   may change `totalEmissiveRadiance` (and `diffuseColor`) using
+ *   `vSkinPosition`, the body-space position, and `uTime`, in seconds.
+ * @property {string} emissive
+ *
+ * @typedef {Object} RibbonStyle  motion trail streaming behind the cube
+ * @property {number|null} color  null follows the skin's colour
+ * @property {number} width  track units at the cube, tapering to nothing
+ * @property {number} length  points kept, one per step
+ * @property {number} opacity
+ */
+
+/**
+ * Body shapes, each about the size of the 1-unit collision box
+ */
+export const SKIN_GEOMETRIES = {
+  cube: () => new THREE.BoxGeometry(1, 1, 1),
+  gem: () => new THREE.OctahedronGeometry(0.75, 0),
+  orb: () => new THREE.IcosahedronGeometry(0.62, 1),
+};
+
+/**
+ * Glow shell shapes, sized to sit just outside the body
+ */
+export const GLOW_SHAPES = {
+  cube: () => new THREE.BoxGeometry(1.3, 1.3, 1.3),
+  sphere: () => new THREE.SphereGeometry(0.95, 16, 12),
+  diamond: () => new THREE.OctahedronGeometry(1.15, 0),
+};
+
+/**
+ * Emissive intensity at time t (seconds). A pattern may also recolour
+ * `emissive`, which starts as the skin's.
+ */
+export const EMISSIVE_PATTERNS = {
+  steady: () => 0.8,
+  pulse: t => 0.8 + Math.sin(t * 3) * 0.4,
+  flicker: t => (Math.sin(t * 37) * Math.sin(t * 23) > 0.6 ? 0.3 : 0.9),
+  heartbeat: (t) => {
+    const beat = t % 1.2;
+    return beat < 0.1 || (beat > 0.25 && beat < 0.35) ? 1.6 : 0.5;
+  },
+  rainbow: (t, emissive) => {
+    emissive.setHSL((t * 0.2) % 1, 1, 0.5);
+    return 0.9;
+  },
+};
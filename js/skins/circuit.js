@@ -0,0 +1,21 @@
+/**
+ * Circuit — scan lines sweep up a dark green cube
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const CIRCUIT = {
+  id: 'circuit',
+  label: 'Circuit',
+  price: 500,
+  geometry: 'cube',
+  color: 0x113322,
+  emissive: 0x33ff66,
+  pattern: 'steady',
+  glow: { shape: 'cube', opacity: 0.1, pulse: 0.04 },
+  shader: {
+    emissive: `
+      float scan = step(0.8, fract(vSkinPosition.y * 5.0 - uTime * 1.5));
+      totalEmissiveRadiance *= 0.25 + 1.5 * scan;
+    `,
+  },
+  ribbon: { color: 0x33ff66, width: 0.4, length: 30, opacity: 0.45 },
+};
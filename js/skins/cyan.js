@@ -0,0 +1,14 @@
+/**
+ * Cyan — the original neon cube
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const CYAN = {
+  id: 'cyan',
+  label: 'Cyan',
+  price: 0,
+  geometry: 'cube',
+  color: 0x00ffff,
+  emissive: 0x006666,
+  pattern: 'steady',
+  glow: { shape: 'cube', opacity: 0.12, pulse: 0.05 },
+};
@@ -0,0 +1,15 @@
+/**
+ * Ember — a smouldering cube trailing heat
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const EMBER = {
+  id: 'ember',
+  label: 'Ember',
+  price: 150,
+  geometry: 'cube',
+  color: 0xff7733,
+  emissive: 0x662200,
+  pattern: 'pulse',
+  glow: { shape: 'cube', opacity: 0.14, pulse: 0.06 },
+  ribbon: { color: 0xff5511, width: 0.5, length: 18, opacity: 0.6 },
+};
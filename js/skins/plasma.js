@@ -0,0 +1,21 @@
+/**
+ * Plasma — a molten orb with light rolling across its surface
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const PLASMA = {
+  id: 'plasma',
+  label: 'Plasma',
+  price: 1200,
+  geometry: 'orb',
+  color: 0xff66cc,
+  emissive: 0xff2299,
+  pattern: 'steady',
+  glow: { shape: 'sphere', opacity: 0.18, pulse: 0.08 },
+  shader: {
+    emissive: `
+      float wave = sin(vSkinPosition.x * 9.0 + uTime * 3.0) * sin(vSkinPosition.y * 7.0 - uTime * 2.0);
+      totalEmissiveRadiance *= 0.5 + max(wave, 0.0) * 1.5;
+    `,
+  },
+  ribbon: { color: null, width: 0.9, length: 32, opacity: 0.5 },
+};
@@ -0,0 +1,15 @@
+/**
+ * Prism — white cube cycling through the rainbow
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const PRISM = {
+  id: 'prism',
+  label: 'Prism',
+  price: 900,
+  geometry: 'cube',
+  color: 0xffffff,
+  emissive: 0xff0000,
+  pattern: 'rainbow',
+  glow: { shape: 'sphere', opacity: 0.14, pulse: 0.06 },
+  ribbon: { color: 0xffffff, width: 0.8, length: 28, opacity: 0.4 },
+};
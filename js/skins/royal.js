@@ -0,0 +1,15 @@
+/**
+ * Royal — a violet gem
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const ROYAL = {
+  id: 'royal',
+  label: 'Royal',
+  price: 400,
+  geometry: 'gem',
+  color: 0xaa66ff,
+  emissive: 0x331177,
+  pattern: 'pulse',
+  glow: { shape: 'diamond', opacity: 0.12, pulse: 0.05 },
+  ribbon: { color: null, width: 0.7, length: 24, opacity: 0.5 },
+};
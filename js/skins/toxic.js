@@ -0,0 +1,14 @@
+/**
+ * Toxic — a flickering green cube in a round haze
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const TOXIC = {
+  id: 'toxic',
+  label: 'Toxic',
+  price: 250,
+  geometry: 'cube',
+  color: 0x88ff33,
+  emissive: 0x226600,
+  pattern: 'flicker',
+  glow: { shape: 'sphere', opacity: 0.16, pulse: 0.08 },
+};
@@ -0,0 +1,15 @@
+/**
+ * Void — a near-black gem with a heartbeat
+ * @type {import('./api.js').SkinDefinition}
+ */
+export const VOID = {
+  id: 'void',
+  label: 'Void',
+  price: 600,
+  geometry: 'gem',
+  color: 0x222233,
+  emissive: 0xff0066,
+  pattern: 'heartbeat',
+  glow: { shape: 'diamond', opacity: 0.1, pulse: 0.08 },
+  ribbon: { color: 0xff0066, width: 0.6, length: 20, opacity: 0.55 },
+};
@@ -0,0 +1,100 @@
+import { COSMETIC_KINDS, findCosmetic } from './cosmetics.js';
+
+/**
+ * Shard Wallet
+ * Shards banked from finished runs, and the cosmetics bought and equipped
+ * with them, persisted to localStorage.
+ */
+
+const STORAGE_KEY = 'cubeDodgeWallet';
+
+function emptyWallet() {
+  const owned = {};
+  const equipped = {};
+  for (const [kind, { items }] of Object.entries(COSMETIC_KINDS)) {
+    owned[kind] = items.filter(item => item.price === 0).map(item => item.id);
+    equipped[kind] = items[0].id;
+  }
+  return { shards: 0, owned, equipped };
+}
+
+export class Wallet {
+  constructor() {
+    this.data = this._load();
+  }
+
+  _load() {
+    const wallet = emptyWallet();
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved) {
+        wallet.shards = Math.max(0, Math.floor(saved.shards) || 0);
+        // Items dropped from the catalogue are forgotten
+        for (const kind of Object.keys(COSMETIC_KINDS)) {
+          for (const id of saved.owned?.[kind] ?? []) {
+            if (findCosmetic(kind, id) && !wallet.owned[kind].includes(id)) wallet.owned[kind].push(id);
+          }
+          const id = saved.equipped?.[kind];
+          if (wallet.owned[kind].includes(id)) wallet.equipped[kind] = id;
+        }
+      }
+    } catch (e) {
+      console.warn('Discarding unreadable wallet:', e);
+    }
+    return wallet;
+  }
+
+  _save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+  }
+
+  get shards() {
+    return this.data.shards;
+  }
+
+  /**
+   * Bank shards collected in a run
+   */
+  deposit(amount) {
+    if (amount <= 0) return;
+    this.data.shards += amount;
+    this._save();
+  }
+
+  owns(kind, id) {
+    return this.data.owned[kind].includes(id);
+  }
+
+  canAfford(kind, id) {
+    return findCosmetic(kind, id).price <= this.data.shards;
+  }
+
+  /**
+   * Spend shards on an item. Returns false, spending nothing, if it is
+   * already owned or too expensive.
+   */
+  buy(kind, id) {
+    if (this.owns(kind, id) || !this.canAfford(kind, id)) return false;
+    this.data.shards -= findCosmetic(kind, id).price;
+    this.data.owned[kind].push(id);
+    this._save();
+    return true;
+  }
+
+  /**
+   * Wear an owned item; returns false if it isn't owned
+   */
+  equip(kind, id) {
+    if (!this.owns(kind, id)) return false;
+    this.data.equipped[kind] = id;
+    this._save();
+    return true;
+  }
+
+  /**
+   * The equipped item of a kind (its catalogue entry)
+   */
+  equipped(kind) {
+    return findCosmetic(kind, this.data.equipped[kind]);
+  }
+}
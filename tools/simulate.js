@@ -0,0 +1,314 @@
+/**
+ * Headless Simulation Runner
+ * Steps the simulation core in plain Node (no canvas, no three.js) for
+ * balance testing and for verifying submitted replays.
+ *
+ *   node tools/simulate.js [--runs 100] [--seed 1] [--max-seconds 600] [--difficulty normal]
+ *                          [--mode classic] [--no-patterns] [--forgiveness 0.1]
+ *   node tools/simulate.js --replay cube-dodge-1234-567.json
+ *   node tools/simulate.js --check
+ *   node tools/simulate.js --write-fixtures
+ *
+ * --check verifies every replay in tools/fixtures and runs the scripted
+ * rule checks in SCENARIOS. Any change to the game rules shifts the
+ * fixtures' scores, so regenerate them with --write-fixtures (and bump
+ * GAME_VERSION) in the same commit.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { Simulation, GAME_VERSION, FIXED_STEP } from '../js/core/simulation.js';
+import { ReplayInput, ReplayRecorder, parseReplay, serializeReplay } from '../js/core/replay.js';
+import { BASIC_MOVES } from '../js/core/player.js';
+import { OBSTACLE_TYPES } from '../js/core/obstacleTypes.js';
+import { GAME_EVENTS } from '../js/core/events.js';
+import { DEFAULT_DIFFICULTY } from '../js/core/difficulty.js';
+import { DEFAULT_MODE } from '../js/core/modes.js';
+
+const PATTERNS_PATH = new URL('../data/patterns.json', import.meta.url);
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+// Longest a fixture run may go before it's cut off, in ticks
+const FIXTURE_MAX_TICKS = 36000;
+
+// Bot runs kept as replays that --check must still verify:
+//   format1-lives  a Lives run saved in replay format 1, from before
+//                  replays stored their moveset; the bot jumps again in
+//                  the air, which must not turn into a double jump
+const FIXTURES = [
+  { name: 'format1-lives', seed: 7, difficulty: 'normal', mode: 'lives', format: 1 },
+];
+
+const { values: args } = parseArgs({
+  options: {
+    runs: { type: 'string', default: '100' },
+    seed: { type: 'string', default: '1' },
+    'max-seconds': { type: 'string', default: '600' },
+    difficulty: { type: 'string', default: DEFAULT_DIFFICULTY },
+    mode: { type: 'string', default: DEFAULT_MODE },
+    'no-patterns': { type: 'boolean', default: false },
+    forgiveness: { type: 'string' },
+    replay: { type: 'string' },
+    check: { type: 'boolean', default: false },
+    'write-fixtures': { type: 'boolean', default: false },
+  },
+});
+
+const patternData = args['no-patterns'] ? null : JSON.parse(readFileSync(PATTERNS_PATH, 'utf8'));
+let patternErrorsShown = false;
+
+/**
+ * A simulation with the authored patterns installed, as the browser has.
+ * `--forgiveness` overrides the collision margin for balance experiments.
+ */
+function createSimulation(seed, difficulty, mode) {
+  const sim = new Simulation(seed, difficulty, mode);
+  if (args.forgiveness !== undefined) sim.forgiveness = Number(args.forgiveness);
+  if (patternData) {
+    const library = sim.setPatterns(patternData);
+    if (!patternErrorsShown) {
+      for (const error of library.errors) console.warn(`Skipped ${error}`);
+      patternErrorsShown = true;
+    }
+  }
+  return sim;
+}
+
+/**
+ * Simple reactive bot: sidestep the nearest obstacle in its lane,
+ * hop over low ones it can't avoid.
+ */
+function botActions(sim, actions) {
+  const player = sim.player;
+  actions.moveLeft = false;
+  actions.moveRight = false;
+
+  let threat = null;
+  for (const o of sim.obstacles.pool) {
+    if (!o.active || o.position.z > player.position.z + 1 || o.position.z < -25) continue;
+    if (Math.abs(o.position.x - player.position.x) > 2.8) continue;
+    if (!threat || o.position.z > threat.position.z) threat = o;
+  }
+  if (!threat) return false;
+
+  const halfTrack = player.trackWidth / 2 - 0.5;
+  const goLeft = threat.position.x > player.position.x
+    ? player.position.x - 2.8 > -halfTrack
+    : player.position.x + 2.8 > halfTrack;
+  actions.moveLeft = goLeft;
+  actions.moveRight = !goLeft;
+
+  const closing = player.position.z - threat.position.z;
+  return closing < 4 && threat.position.y < 1.2;
+}
+
+/**
+ * The bot always takes the continue when one is offered
+ */
+function runBot(seed, maxTicks, difficulty, mode) {
+  const sim = createSimulation(0, difficulty, mode);
+  // Jump is kept held, so every hop the bot makes goes full height
+  const actions = { moveLeft: false, moveRight: false, jumpHeld: true };
+  let cause = 'timeout';
+  let spawnsCut = 0;
+  let peakPool = 0;
+  sim.events.on(GAME_EVENTS.GAME_OVER, (e) => { cause = e.cause; });
+  sim.events.on(GAME_EVENTS.POOL_EXHAUSTED, (e) => { spawnsCut += e.dropped; });
+  sim.start(seed);
+
+  while (!sim.over && sim.ticks < maxTicks) {
+    const jump = botActions(sim, actions);
+    sim.step(FIXED_STEP, actions, jump);
+    if (sim.awaitingContinue) sim.revive();
+    peakPool = Math.max(peakPool, sim.obstacles.pool.length);
+  }
+  return {
+    seed,
+    score: sim.score,
+    seconds: sim.ticks * FIXED_STEP,
+    cause,
+    shards: sim.shardsCollected,
+    spawnsCut,
+    peakPool,
+  };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function balanceReport() {
+  const runs = Number(args.runs);
+  const firstSeed = Number(args.seed);
+  const maxTicks = Number(args['max-seconds']) / FIXED_STEP;
+
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    results.push(runBot((firstSeed + i) >>> 0, maxTicks, args.difficulty, args.mode));
+  }
+
+  const scores = results.map(r => r.score).sort((a, b) => a - b);
+  const mean = (list) => list.reduce((sum, v) => sum + v, 0) / list.length;
+  const causes = {};
+  for (const r of results) causes[r.cause] = (causes[r.cause] || 0) + 1;
+
+  console.log(`Cube Dodge v${GAME_VERSION} — ${runs} ${args.difficulty} ${args.mode} bot runs from seed ${firstSeed}`);
+  console.log(`  score   mean ${mean(scores).toFixed(1)}  p10 ${percentile(scores, 0.1)}  ` +
+    `median ${percentile(scores, 0.5)}  p90 ${percentile(scores, 0.9)}  max ${scores[scores.length - 1]}`);
+  console.log(`  time    mean ${mean(results.map(r => r.seconds)).toFixed(1)}s`);
+  console.log(`  shards  mean ${mean(results.map(r => r.shards)).toFixed(1)} collected (the bot ignores them)`);
+  console.log(`  deaths  ${Object.entries(causes).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+  console.log(`  pools   obstacle pool peak ${Math.max(...results.map(r => r.peakPool))}` +
+    `  spawns cut ${results.reduce((sum, r) => sum + r.spawnsCut, 0)}`);
+}
+
+/**
+ * Play a parsed replay back; true if it ends with the claimed score on the
+ * claimed tick
+ */
+function verifyReplay(replay) {
+  if (replay.version !== GAME_VERSION) {
+    console.warn(`Replay was recorded on v${replay.version}, verifying on v${GAME_VERSION}`);
+  }
+
+  const sim = createSimulation(replay.seed, replay.difficulty, replay.mode);
+  sim.start(replay.seed, replay.difficulty, replay.mode, replay.moves);
+  const input = new ReplayInput(replay);
+  while (!input.finished && !sim.over) {
+    input.advance();
+    const jumped = input.consumeJump();
+    sim.step(FIXED_STEP, input.actions, jumped);
+    // Replays don't record the continue: the run went on only if it was taken
+    if (sim.awaitingContinue) {
+      if (input.finished) sim.declineContinue();
+      else sim.revive();
+    }
+  }
+
+  const ok = sim.over && sim.ticks === replay.ticks && sim.score === replay.score;
+  console.log(`${ok ? 'VERIFIED' : 'MISMATCH'}: claimed ${replay.score} in ${replay.ticks} ticks, ` +
+    `simulated ${sim.score} in ${sim.ticks} ticks${sim.over ? '' : ' (no hit)'}`);
+  return ok;
+}
+
+/**
+ * Record a fixture's bot run as a replay. Format 1 runs use the original
+ * moveset and leave out what that format didn't store.
+ */
+function recordFixture({ seed, difficulty, mode, format }) {
+  const sim = createSimulation(seed, difficulty, mode);
+  const moves = format === 1 ? BASIC_MOVES : null;
+  sim.start(seed, difficulty, mode, moves);
+  const recorder = new ReplayRecorder();
+  recorder.reset(seed, GAME_VERSION, difficulty, mode, sim.moves);
+  // Format 1 had no held jump; its jumps went full height regardless
+  const actions = { moveLeft: false, moveRight: false, jumpHeld: format !== 1 };
+
+  while (!sim.over && sim.ticks < FIXTURE_MAX_TICKS) {
+    const jump = botActions(sim, actions);
+    recorder.record(actions, jump);
+    sim.step(FIXED_STEP, actions, jump);
+    if (sim.awaitingContinue) sim.revive();
+  }
+  if (!sim.over) throw new Error(`Fixture seed ${seed} never ended`);
+
+  const replay = recorder.finish(sim.score);
+  if (format === 1) {
+    delete replay.moves;
+    replay.format = 1;
+  }
+  return replay;
+}
+
+function writeFixtures() {
+  for (const fixture of FIXTURES) {
+    const replay = recordFixture(fixture);
+    writeFileSync(new URL(`${fixture.name}.json`, FIXTURES_DIR), `${serializeReplay(replay)}\n`);
+    console.log(`Wrote ${fixture.name}: ${replay.score} in ${replay.ticks} ticks`);
+  }
+}
+
+/**
+ * A simulation with nothing spawning on its own, for scripted checks
+ */
+function createScenario(mode) {
+  const sim = new Simulation(1, DEFAULT_DIFFICULTY, mode);
+  sim.start(1);
+  sim.obstacles.randomSpawns = false;
+  sim.powerups.randomSpawns = false;
+  sim.shards.randomSpawns = false;
+  return sim;
+}
+
+/**
+ * Place an obstacle of this type at track position (x, z), moving with
+ * the track; `y` defaults to resting on it
+ */
+function placeObstacle(sim, type, x, z, y = sim.player.groundY) {
+  const obstacle = sim.obstacles._getInactive();
+  obstacle.activate(x, z, sim.director.speed, type, sim.rng, { y, scale: 1 });
+  return obstacle;
+}
+
+function runFor(sim, seconds, actions = {}) {
+  for (let t = 0; t < seconds / FIXED_STEP && !sim.over; t++) {
+    sim.step(FIXED_STEP, actions, false);
+  }
+}
+
+// Scripted rule checks; each returns a failure message, or null
+const SCENARIOS = {
+  // Respawning into a lane full of cubes: the player phases through them
+  // while invulnerable, which must not feed the combo
+  'respawn-no-combo'() {
+    const sim = createScenario('lives');
+    placeObstacle(sim, 'normal', 0, -0.5);
+    for (let i = 1; i <= 6; i++) placeObstacle(sim, 'normal', 0, -8 - i * 3);
+    let nearMisses = 0;
+    sim.events.on(GAME_EVENTS.NEAR_MISS, () => nearMisses++);
+    runFor(sim, 2.5);
+    if (sim.lives !== sim.mode.lives - 1) return `expected one life lost, ${sim.lives} left`;
+    if (sim.combo.combo !== 0 || nearMisses > 0) {
+      return `combo ${sim.combo.combo} from ${nearMisses} near-misses while invulnerable`;
+    }
+    return null;
+  },
+
+  // An explosive going off beside a low bar: the bar spans the track, so
+  // knocking it sideways would open a way round it
+  'blast-leaves-lowbar'() {
+    const sim = createScenario('classic');
+    const { radius } = OBSTACLE_TYPES.explosive.blast;
+    const lowbar = placeObstacle(sim, 'lowbar', 0, -40);
+    const explosive = placeObstacle(sim, 'explosive', radius * 0.75, -40, 1.2);
+    sim.obstacles.detonate(explosive, 'fuse');
+    runFor(sim, 0.5);
+    if (!lowbar.active || lowbar.type !== 'lowbar') return 'the low bar was destroyed';
+    if (lowbar.position.x !== 0) return `the low bar was knocked to x ${lowbar.position.x.toFixed(2)}`;
+    return null;
+  },
+};
+
+function runChecks() {
+  let failed = 0;
+  for (const { name } of FIXTURES) {
+    process.stdout.write(`${name}: `);
+    const replay = parseReplay(readFileSync(new URL(`${name}.json`, FIXTURES_DIR), 'utf8'));
+    if (!verifyReplay(replay)) failed++;
+  }
+  for (const [name, scenario] of Object.entries(SCENARIOS)) {
+    const failure = scenario();
+    console.log(`${name}: ${failure ? `FAILED: ${failure}` : 'PASSED'}`);
+    if (failure) failed++;
+  }
+  console.log(failed === 0 ? 'All checks passed' : `${failed} check(s) failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+if (args.replay) {
+  process.exitCode = verifyReplay(parseReplay(readFileSync(args.replay, 'utf8'))) ? 0 : 1;
+} else if (args['write-fixtures']) {
+  writeFixtures();
+} else if (args.check) {
+  runChecks();
+} else {
+  balanceReport();
+}